@@ -0,0 +1,88 @@
+/**
+ * Meeting analytics over the Notion meeting database
+ *
+ * The worker reads the meetings of a period (and the action items in the
+ * tasks database) from Notion; this module turns them into the aggregates
+ * served at GET /stats and posted as the weekly Slack digest:
+ *   meetings per type, total meeting hours, most active participants and
+ *   open action items.
+ */
+
+export const DEFAULT_STATS_DAYS = 7;
+export const MAX_STATS_DAYS = 90;
+const TOP_PARTICIPANTS = 5;
+
+/**
+ * Aggregate meetings and action items of a period
+ * @param {Object} input
+ * @param {Date} input.since
+ * @param {Date} input.until
+ * @param {Array<{type: string|null, minutes: number|null, participants: string[]}>} input.meetings
+ * @param {{created: number, open: number|null}|null} input.actionItems - null without a tasks database
+ */
+export function aggregateMeetingStats({ since, until, meetings, actionItems }) {
+  const byType = {};
+  const byParticipant = new Map();
+  let minutes = 0;
+  let withDuration = 0;
+
+  for (const meeting of meetings) {
+    const type = meeting.type || 'Unclassified';
+    byType[type] = (byType[type] || 0) + 1;
+
+    if (Number.isFinite(meeting.minutes) && meeting.minutes > 0) {
+      minutes += meeting.minutes;
+      withDuration++;
+    }
+
+    new Set(meeting.participants).forEach(name => {
+      byParticipant.set(name, (byParticipant.get(name) || 0) + 1);
+    });
+  }
+
+  const topParticipants = [...byParticipant.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_PARTICIPANTS)
+    .map(([name, count]) => ({ name, meetings: count }));
+
+  return {
+    since: since.toISOString(),
+    until: until.toISOString(),
+    meetings: meetings.length,
+    byType: Object.fromEntries(Object.entries(byType).sort((a, b) => b[1] - a[1])),
+    hours: Math.round((minutes / 60) * 10) / 10,
+    meetingsWithDuration: withDuration,
+    topParticipants,
+    actionItems
+  };
+}
+
+/**
+ * Slack message for the weekly digest
+ */
+export function formatStatsDigest(stats) {
+  const day = iso => iso.split('T')[0];
+  const lines = [`📈 *Meeting digest* — ${day(stats.since)} to ${day(stats.until)}`];
+
+  if (stats.meetings === 0) {
+    lines.push('No meetings recorded.');
+    return lines.join('\n');
+  }
+
+  lines.push(`🗓️ ${stats.meetings} meeting${stats.meetings === 1 ? '' : 's'}, ${stats.hours} h${stats.meetingsWithDuration < stats.meetings ? ` (duration known for ${stats.meetingsWithDuration})` : ''}`);
+
+  lines.push('', '*By type*');
+  Object.entries(stats.byType).forEach(([type, count]) => lines.push(`• ${type}: ${count}`));
+
+  if (stats.topParticipants.length > 0) {
+    lines.push('', '*Most active participants*');
+    stats.topParticipants.forEach(({ name, meetings }) => lines.push(`• ${name.replace(/[<>]/g, '').replace(/&/g, '&amp;')} (${meetings})`));
+  }
+
+  if (stats.actionItems) {
+    const open = stats.actionItems.open === null ? '' : `, ${stats.actionItems.open} open overall`;
+    lines.push('', `✅ Action items: ${stats.actionItems.created} created${open}`);
+  }
+
+  return lines.join('\n');
+}
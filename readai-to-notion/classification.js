@@ -0,0 +1,199 @@
+/**
+ * Meeting classification rules for Read.ai → Notion
+ *
+ * Meetings are classified by an ordered rule list: the first rule whose
+ * conditions all match decides the category. Rules are JSON, read from the
+ * CLASSIFICATION_RULES var or the `classification-rules` key of the
+ * WORKER_CONFIG KV namespace, so new meeting types don't need a redeploy.
+ *
+ * Rule conditions (each optional; every condition given must match):
+ *   titleKeywords       - any keyword appears as whole words in the title
+ *   titlePattern        - case-insensitive regular expression on the title
+ *   participantDomains  - any participant email is on one of these domains
+ *   externalParticipants - true: someone outside INTERNAL_EMAIL_DOMAINS attends
+ *   owners              - the meeting owner's email or name is in the list
+ *   calendarKeywords    - any keyword appears in the calendar event title/description
+ *   client              - true: the meeting was linked to a client page
+ */
+
+export const CLASSIFICATION_KV_KEY = 'classification-rules';
+
+export const MEETING_CATEGORIES = [
+  'Client Call',
+  'Internal Project',
+  'Exec Board',
+  'Department',
+  'Recruiting',
+  'Training'
+];
+
+const CONDITION_KEYS = [
+  'titleKeywords',
+  'titlePattern',
+  'participantDomains',
+  'externalParticipants',
+  'owners',
+  'calendarKeywords',
+  'client'
+];
+
+export const DEFAULT_CLASSIFICATION_RULES = {
+  defaultCategory: 'Exec Board',
+  rules: [
+    { name: 'recruiting', category: 'Recruiting', titleKeywords: ['interview', 'interviews', 'recruiting', 'recruitment', 'assessment centre'] },
+    { name: 'training', category: 'Training', titleKeywords: ['training', 'workshop', 'onboarding'] },
+    { name: 'client-linked', category: 'Client Call', client: true },
+    { name: 'client-external', category: 'Client Call', externalParticipants: true },
+    { name: 'exec-board', category: 'Exec Board', titleKeywords: ['exec', 'board'] },
+    { name: 'internal-project', category: 'Internal Project', titleKeywords: ['project', 'projects'] },
+    { name: 'department', category: 'Department', titleKeywords: ['marketing', 'finance', 'hr', 'operations', 'consulting', 'department'] }
+  ]
+};
+
+/**
+ * Validate a rules config, throwing one error that lists every problem
+ * @returns {Object} The config
+ */
+export function validateClassificationRules(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || !Array.isArray(config.rules)) {
+    throw new Error('Invalid classification rules:\n  expected an object with a "rules" array');
+  }
+
+  if (config.defaultCategory !== undefined && !MEETING_CATEGORIES.includes(config.defaultCategory)) {
+    errors.push(`defaultCategory "${config.defaultCategory}" is not one of: ${MEETING_CATEGORIES.join(', ')}`);
+  }
+
+  const names = new Set();
+  config.rules.forEach((rule, index) => {
+    const label = rule && rule.name ? `rule "${rule.name}"` : `rule #${index + 1}`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (!rule.name || typeof rule.name !== 'string') {
+      errors.push(`${label}: missing "name"`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${label}: duplicate name`);
+    } else {
+      names.add(rule.name);
+    }
+    if (!MEETING_CATEGORIES.includes(rule.category)) {
+      errors.push(`${label}: category "${rule.category}" is not one of: ${MEETING_CATEGORIES.join(', ')}`);
+    }
+
+    const conditions = Object.keys(rule).filter(key => key !== 'name' && key !== 'category');
+    const unknown = conditions.filter(key => !CONDITION_KEYS.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`${label}: unknown condition(s) ${unknown.join(', ')}`);
+    }
+    if (conditions.length === 0) {
+      errors.push(`${label}: needs at least one condition`);
+    }
+
+    ['titleKeywords', 'participantDomains', 'owners', 'calendarKeywords'].forEach(key => {
+      if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some(v => typeof v !== 'string' || !v.trim()))) {
+        errors.push(`${label}: "${key}" must be a list of non-empty strings`);
+      }
+    });
+    ['externalParticipants', 'client'].forEach(key => {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        errors.push(`${label}: "${key}" must be true or false`);
+      }
+    });
+    if (rule.titlePattern !== undefined) {
+      try {
+        new RegExp(rule.titlePattern, 'i');
+      } catch (error) {
+        errors.push(`${label}: invalid titlePattern (${error.message})`);
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid classification rules:\n  ${errors.join('\n  ')}`);
+  }
+
+  return config;
+}
+
+/**
+ * Load the rules config: CLASSIFICATION_RULES var, then the WORKER_CONFIG KV
+ * namespace, then the built-in defaults. An invalid config is logged and the
+ * defaults are used, so a bad edit never blocks meeting writes.
+ * @returns {Promise<{config: Object, source: string}>}
+ */
+export async function loadClassificationRules(env) {
+  try {
+    if (env.CLASSIFICATION_RULES) {
+      const config = typeof env.CLASSIFICATION_RULES === 'string'
+        ? JSON.parse(env.CLASSIFICATION_RULES)
+        : env.CLASSIFICATION_RULES;
+      return { config: validateClassificationRules(config), source: 'CLASSIFICATION_RULES' };
+    }
+
+    if (env.WORKER_CONFIG) {
+      const config = await env.WORKER_CONFIG.get(CLASSIFICATION_KV_KEY, 'json');
+      if (config) {
+        return { config: validateClassificationRules(config), source: `WORKER_CONFIG:${CLASSIFICATION_KV_KEY}` };
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Could not load classification rules, using defaults: ${error.message}`);
+  }
+
+  return { config: DEFAULT_CLASSIFICATION_RULES, source: 'defaults' };
+}
+
+/**
+ * Classify a meeting with the first matching rule
+ * @param {Object} meeting
+ * @param {string} meeting.title
+ * @param {string} meeting.calendarText - Calendar event title and description
+ * @param {string[]} meeting.participantDomains - Email domains of all participants
+ * @param {boolean} meeting.hasExternalParticipants
+ * @param {string[]} meeting.owner - Owner email and name (lowercased)
+ * @param {boolean} meeting.hasClient
+ * @returns {{category: string, rule: string|null}}
+ */
+export function classifyMeeting(meeting, config) {
+  const rule = config.rules.find(candidate => ruleMatches(candidate, meeting));
+  if (rule) {
+    return { category: rule.category, rule: rule.name };
+  }
+  return { category: config.defaultCategory || DEFAULT_CLASSIFICATION_RULES.defaultCategory, rule: null };
+}
+
+function ruleMatches(rule, meeting) {
+  const title = (meeting.title || '').toLowerCase();
+  const calendarText = (meeting.calendarText || '').toLowerCase();
+  const domains = meeting.participantDomains || [];
+  const owner = meeting.owner || [];
+
+  if (rule.titleKeywords && !rule.titleKeywords.some(keyword => containsWords(title, keyword))) return false;
+  if (rule.titlePattern && !new RegExp(rule.titlePattern, 'i').test(meeting.title || '')) return false;
+  if (rule.participantDomains && !rule.participantDomains.some(domain => domains.some(d => domainMatches(d, domain.toLowerCase())))) return false;
+  if (rule.externalParticipants !== undefined && rule.externalParticipants !== Boolean(meeting.hasExternalParticipants)) return false;
+  if (rule.owners && !rule.owners.some(o => owner.includes(o.trim().toLowerCase()))) return false;
+  if (rule.calendarKeywords && !rule.calendarKeywords.some(keyword => containsWords(calendarText, keyword))) return false;
+  if (rule.client !== undefined && rule.client !== Boolean(meeting.hasClient)) return false;
+
+  return true;
+}
+
+/**
+ * Whole-word, case-insensitive phrase match
+ */
+function containsWords(text, phrase) {
+  const escaped = phrase.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text);
+}
+
+/**
+ * Domain equality, subdomains included ("mail.acme.com" matches "acme.com")
+ */
+export function domainMatches(domain, parent) {
+  return domain === parent || domain.endsWith(`.${parent}`);
+}
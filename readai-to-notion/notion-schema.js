@@ -0,0 +1,155 @@
+/**
+ * Notion data source cache and property schema checks
+ *
+ * The data source ID and property schema (name → type) of each database are
+ * cached in the NOTION_CACHE KV namespace for NOTION_SCHEMA_TTL_SECONDS
+ * (default 1 hour), and in memory for the life of the isolate when the
+ * namespace isn't bound. Property values the worker builds are checked
+ * against the schema before a page is written: mismatched names are
+ * remapped, mismatched types converted to text where possible, and anything
+ * else dropped with a warning instead of failing the whole write.
+ */
+
+const CACHE_PREFIX = 'schema:';
+const DEFAULT_TTL_SECONDS = 60 * 60;
+const MIN_KV_TTL_SECONDS = 60; // Workers KV minimum expirationTtl
+
+// Property value types that can be written as plain text instead
+const TEXT_CONVERSIONS = {
+  title: value => value.title.map(part => part.text.content).join(''),
+  select: value => value.select.name,
+  multi_select: value => value.multi_select.map(option => option.name).join(', '),
+  url: value => value.url,
+  email: value => value.email
+};
+
+const memoryCache = new Map();
+
+/**
+ * Data source of a database with its property schema, from the cache or
+ * loaded with `load(databaseId)` → { id, properties: { name: type } }
+ * @returns {Promise<{id: string, properties: Object<string, string>}|null>}
+ */
+export async function getCachedDataSource(databaseId, env, load) {
+  const key = CACHE_PREFIX + databaseId;
+  const now = Date.now();
+
+  const inMemory = memoryCache.get(key);
+  if (inMemory && inMemory.expiresAt > now) return inMemory.dataSource;
+
+  if (env.NOTION_CACHE) {
+    try {
+      const cached = await env.NOTION_CACHE.get(key, 'json');
+      if (cached) {
+        memoryCache.set(key, { dataSource: cached, expiresAt: now + getTtlSeconds(env) * 1000 });
+        return cached;
+      }
+    } catch (error) {
+      console.warn(`⚠️ Could not read the Notion schema cache: ${error.message}`);
+    }
+  }
+
+  const dataSource = await load(databaseId);
+  if (!dataSource) return null;
+
+  const ttl = getTtlSeconds(env);
+  memoryCache.set(key, { dataSource, expiresAt: now + ttl * 1000 });
+  if (env.NOTION_CACHE) {
+    try {
+      await env.NOTION_CACHE.put(key, JSON.stringify(dataSource), { expirationTtl: Math.max(ttl, MIN_KV_TTL_SECONDS) });
+    } catch (error) {
+      console.warn(`⚠️ Could not write the Notion schema cache: ${error.message}`);
+    }
+  }
+  return dataSource;
+}
+
+/**
+ * Forget a cached schema (after Notion rejected a write built from it)
+ */
+export async function invalidateDataSource(databaseId, env) {
+  const key = CACHE_PREFIX + databaseId;
+  memoryCache.delete(key);
+  if (env.NOTION_CACHE) {
+    try {
+      await env.NOTION_CACHE.delete(key);
+    } catch (error) {
+      console.warn(`⚠️ Could not clear the Notion schema cache: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Check property values against a data source schema
+ * @param {Object} properties - Notion property values keyed by property name
+ * @param {Object<string, string>} schema - Property name → type
+ * @param {Object<string, string|null>} [renames] - Property name → name used in this database (null: don't write)
+ * @returns {{properties: Object, names: Object<string, string>, warnings: string[]}} Values that fit
+ *   the schema, the database name each written property went to, and what was changed
+ */
+export function fitPropertiesToSchema(properties, schema, renames = {}) {
+  // No schema to check against (every database has at least a title property)
+  if (!schema || Object.keys(schema).length === 0) {
+    return { properties, names: Object.fromEntries(Object.keys(properties).map(name => [name, name])), warnings: [] };
+  }
+
+  const fitted = {};
+  const names = {};
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(properties)) {
+    if (renames[name] === null) continue; // switched off for this database
+
+    const type = Object.keys(value)[0];
+    const target = schemaPropertyName(name, schema, renames, type);
+
+    if (!target) {
+      warnings.push(`"${name}" is not a property of the database - dropped`);
+      continue;
+    }
+    if (target !== name) {
+      warnings.push(`"${name}" written to "${target}"`);
+    }
+    if (fitted[target]) {
+      warnings.push(`"${name}" maps to "${target}", which is already set - dropped`);
+      continue;
+    }
+
+    const targetType = schema[target];
+    if (targetType === type) {
+      fitted[target] = value;
+    } else if (targetType === 'rich_text' && TEXT_CONVERSIONS[type]) {
+      fitted[target] = { rich_text: [{ text: { content: String(TEXT_CONVERSIONS[type](value) || '').substring(0, 2000) } }] };
+      warnings.push(`"${target}" is ${targetType}, not ${type} - written as text`);
+    } else {
+      warnings.push(`"${target}" is ${targetType}, not ${type} - dropped`);
+      continue;
+    }
+    names[name] = target;
+  }
+
+  return { properties: fitted, names, warnings };
+}
+
+/**
+ * Database name of a property: an explicit rename, the exact name, a name
+ * that differs only in case or spacing, or the title property for title values
+ * @returns {string|null}
+ */
+export function schemaPropertyName(name, schema, renames = {}, type = null) {
+  const renamed = renames[name];
+  if (renamed === null) return null;
+  if (renamed && schema[renamed]) return renamed;
+  if (schema[name]) return name;
+
+  const normalize = value => value.toLowerCase().replace(/[\s_-]+/g, '');
+  const similar = Object.keys(schema).find(candidate => normalize(candidate) === normalize(name));
+  if (similar) return similar;
+
+  return type === 'title' ? Object.keys(schema).find(candidate => schema[candidate] === 'title') || null : null;
+}
+
+function getTtlSeconds(env) {
+  const ttl = Number.parseInt(env.NOTION_SCHEMA_TTL_SECONDS, 10);
+  return Number.isInteger(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
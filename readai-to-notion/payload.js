@@ -0,0 +1,192 @@
+/**
+ * Read.ai payload normalizer and the common Meeting model
+ *
+ * Maps every Read.ai webhook variant we know into one internal Meeting model,
+ * so the rest of the worker never has to guess field names. Each payload
+ * version is a { name, matches, normalize } entry in PAYLOAD_VERSIONS, tried
+ * in order; add a new entry when Read.ai changes its format. Other providers
+ * (see providers.js) build the same model with normalizeFields().
+ *
+ * Meeting model (snake_case, the shape of the current `meeting_end` payload):
+ *   source (provider slug), session_id, event ('meeting_end' | 'recap_update'), title,
+ *   start_time, end_time, report_url,
+ *   owner ({ name, email } | null), participants ([{ name, email }]),
+ *   summary, action_items ([{ text, assignee? }]), key_questions ([{ text }]),
+ *   topics ([{ text }]), chapter_summaries ([{ title, description }]),
+ *   transcript ({ speaker_blocks } | string | null), calendar_event, description, agenda
+ *
+ * Events outside PROCESSABLE_EVENTS, and payloads missing a session ID or
+ * title, come back as { ok: false } so the caller can store them.
+ */
+
+export const MEETING_MODEL_VERSION = 1;
+
+/**
+ * Read.ai event names → internal event
+ */
+export const PROCESSABLE_EVENTS = {
+  meeting_end: 'meeting_end',
+  end: 'meeting_end',
+  meeting_ended: 'meeting_end',
+  'meeting.ended': 'meeting_end',
+  recap_update: 'recap_update',
+  recap_updated: 'recap_update',
+  'meeting.recap_updated': 'recap_update',
+  summary_updated: 'recap_update'
+};
+
+export const PAYLOAD_VERSIONS = [
+  {
+    // { event: 'meeting.ended', version: 2, data: { id, title, ... } }
+    name: 'v2-envelope',
+    matches: raw => isObject(raw.data) && (raw.event || raw.type || raw.trigger) !== undefined,
+    normalize: raw => ({
+      event: raw.event || raw.type || raw.trigger,
+      ...raw.data,
+      ...(isObject(raw.data.meeting) ? raw.data.meeting : {}),
+      ...(isObject(raw.data.recap) ? raw.data.recap : {})
+    })
+  },
+  {
+    // Current flat payload: { session_id, trigger: 'meeting_end', title, ... }
+    name: 'v1',
+    matches: raw => raw.session_id !== undefined && raw.trigger !== undefined,
+    normalize: raw => ({ ...raw, event: raw.trigger })
+  },
+  {
+    // Early flat payload: { id, trigger: 'end', meeting_title, actions, attendees, subjects }
+    name: 'v0-legacy',
+    matches: () => true,
+    normalize: raw => ({
+      ...raw,
+      event: raw.trigger || raw.event,
+      session_id: raw.session_id || raw.sessionId || raw.id,
+      title: raw.title || raw.meeting_title || raw.name,
+      action_items: raw.action_items || raw.actions,
+      participants: raw.participants || raw.attendees,
+      topics: raw.topics || raw.subjects
+    })
+  }
+];
+
+/**
+ * Normalize a raw webhook payload
+ * @returns {{ok: true, version: string, event: string, meeting: Object}
+ *         | {ok: false, version: string|null, event: string|null, reason: string, meeting: Object|null}}
+ */
+export function normalizeReadAiPayload(raw) {
+  if (!isObject(raw)) {
+    return { ok: false, version: null, event: null, reason: 'payload is not an object', meeting: null };
+  }
+
+  const version = PAYLOAD_VERSIONS.find(candidate => candidate.matches(raw));
+  return normalizeFields({ source: 'read-ai', version: version.name, events: PROCESSABLE_EVENTS, fields: version.normalize(raw) });
+}
+
+/**
+ * Build the Meeting model from provider fields (Read.ai field names, with
+ * `event` holding the provider's event name) and check it can be processed
+ * @param {Object} options
+ * @param {string} options.source - Provider slug
+ * @param {string} options.version - Payload version name
+ * @param {Object<string, string>} options.events - Provider event name → internal event
+ * @param {Object} options.fields
+ */
+export function normalizeFields({ source, version, events, fields }) {
+  const rawEvent = String(fields.event || '').trim();
+  const event = events[rawEvent.toLowerCase()] || null;
+  const meeting = { source, ...toMeeting(fields, event || rawEvent) };
+
+  const problems = [];
+  if (!rawEvent) problems.push('missing trigger');
+  else if (!event) problems.push(`unsupported event "${rawEvent}"`);
+  if (!meeting.session_id) problems.push('missing session ID');
+  if (!meeting.title) problems.push('missing title');
+
+  if (problems.length > 0) {
+    return { ok: false, version, event: rawEvent || null, reason: problems.join(', '), meeting };
+  }
+  return { ok: true, version, event, meeting };
+}
+
+function toMeeting(fields, event) {
+  const sessionId = fields.session_id || fields.sessionId || fields.id;
+  return {
+    model_version: MEETING_MODEL_VERSION,
+    event,
+    session_id: sessionId ? String(sessionId) : null,
+    title: text(fields.title || fields.meeting_title || fields.name) || null,
+    start_time: fields.start_time || fields.started_at || fields.startTime || null,
+    end_time: fields.end_time || fields.ended_at || fields.endTime || null,
+    report_url: fields.report_url || fields.reportUrl || fields.url || null,
+    owner: toPerson(fields.owner || fields.host),
+    participants: toList(fields.participants || fields.attendees).map(toPerson).filter(Boolean),
+    summary: text(isObject(fields.summary) ? fields.summary.text : fields.summary),
+    action_items: toItems(fields.action_items || fields.actions || fields.actionItems),
+    key_questions: toItems(fields.key_questions || fields.questions || fields.keyQuestions),
+    topics: toItems(fields.topics || fields.subjects),
+    chapter_summaries: toList(fields.chapter_summaries || fields.chapters)
+      .map(chapter => (isObject(chapter)
+        ? { ...chapter, title: text(chapter.title || chapter.text || chapter.name), description: text(chapter.description || chapter.summary) }
+        : { title: text(chapter), description: '' }))
+      .filter(chapter => chapter.title),
+    transcript: toTranscript(fields.transcript),
+    calendar_event: isObject(fields.calendar_event) ? fields.calendar_event : null,
+    description: text(fields.description) || null,
+    agenda: text(fields.agenda) || null
+  };
+}
+
+/**
+ * "Jane Doe", "jane@x.org", "Jane Doe <jane@x.org>" or { name, email } → { name, email }
+ */
+function toPerson(value) {
+  if (!value) return null;
+
+  if (isObject(value)) {
+    const fullName = [value.first_name, value.last_name].filter(Boolean).join(' ');
+    const name = text(value.name || value.display_name || fullName);
+    const email = text(value.email).toLowerCase();
+    return name || email ? { name: name || email, email: email || null } : null;
+  }
+
+  const raw = text(value);
+  const withEmail = raw.match(/^(.*)<([^>]+@[^>]+)>$/);
+  if (withEmail) return { name: text(withEmail[1]) || text(withEmail[2]), email: text(withEmail[2]).toLowerCase() };
+  if (raw.includes('@')) return { name: raw, email: raw.toLowerCase() };
+  return raw ? { name: raw, email: null } : null;
+}
+
+/**
+ * List entries as objects with `text` (other fields such as assignee are kept)
+ */
+function toItems(value) {
+  return toList(value)
+    .map(item => (isObject(item)
+      ? { ...item, text: text(item.text || item.title || item.name || item.description) }
+      : { text: text(item) }))
+    .filter(item => item.text);
+}
+
+function toTranscript(value) {
+  if (!value) return null;
+  if (Array.isArray(value)) return { speaker_blocks: value };
+  if (isObject(value) && Array.isArray(value.speaker_blocks)) return value;
+  if (isObject(value) && Array.isArray(value.blocks)) return { ...value, speaker_blocks: value.blocks };
+  if (isObject(value) && typeof value.text === 'string') return value.text;
+  return typeof value === 'string' ? value : null;
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') return value.split(',').map(part => part.trim()).filter(Boolean);
+  return value ? [value] : [];
+}
+
+function text(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+}
+
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
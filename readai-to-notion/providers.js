@@ -0,0 +1,53 @@
+/**
+ * Meeting providers for POST /webhook/:provider
+ *
+ * Each adapter turns its provider's webhook into the common Meeting model
+ * (see payload.js); page creation, classification, tasks and Slack reporting
+ * are shared. An adapter has:
+ *   name       - display name for logs and Slack
+ *   signature  - env → HMAC settings: secret, header names, signed message
+ *   normalize  - raw payload → { ok, version, event, meeting, reason }
+ *   handshake  - (optional) raw payload → token of a URL validation challenge
+ */
+
+import { normalizeReadAiPayload } from './payload.js';
+import { normalizeZoomPayload, getZoomValidationToken } from './zoom.js';
+
+export const DEFAULT_PROVIDER = 'read-ai';
+
+export const PROVIDERS = {
+  'read-ai': {
+    name: 'Read.ai',
+    // HMAC-SHA256 of "<timestamp>.<raw body>", optionally prefixed "sha256="
+    signature: env => ({
+      secretName: 'WEBHOOK_SECRET',
+      secret: env.WEBHOOK_SECRET,
+      signatureHeader: env.WEBHOOK_SIGNATURE_HEADER || 'x-readai-signature',
+      timestampHeader: env.WEBHOOK_TIMESTAMP_HEADER || 'x-readai-timestamp',
+      prefix: 'sha256=',
+      message: (timestamp, body) => `${timestamp}.${body}`
+    }),
+    normalize: normalizeReadAiPayload
+  },
+  zoom: {
+    name: 'Zoom',
+    // HMAC-SHA256 of "v0:<timestamp>:<raw body>", prefixed "v0="
+    signature: env => ({
+      secretName: 'ZOOM_WEBHOOK_SECRET',
+      secret: env.ZOOM_WEBHOOK_SECRET,
+      signatureHeader: 'x-zm-signature',
+      timestampHeader: 'x-zm-request-timestamp',
+      prefix: 'v0=',
+      message: (timestamp, body) => `v0:${timestamp}:${body}`
+    }),
+    normalize: normalizeZoomPayload,
+    handshake: getZoomValidationToken
+  }
+};
+
+/**
+ * Adapter for a provider slug (null when unknown)
+ */
+export function getProvider(slug) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, slug) ? { slug, ...PROVIDERS[slug] } : null;
+}
@@ -0,0 +1,214 @@
+/**
+ * Retry queue for failed Read.ai → Notion writes
+ *
+ * Failed webhook payloads are persisted and retried with exponential backoff
+ * from the cron trigger. After MAX_ATTEMPTS an entry moves to the dead-letter
+ * list, where it can be inspected (/admin/failed) and replayed (/admin/replay/:id).
+ * Events the worker can't process (unknown triggers or payload versions) are
+ * kept in a third list so they can be replayed once they are supported.
+ *
+ * Storage is a Workers KV namespace bound as RETRY_QUEUE. MemoryRetryStore is
+ * an in-memory stand-in with the same interface for tests. Without the
+ * binding the worker still processes webhooks inline, but a failed delivery
+ * is answered 503 so the sender redelivers it instead of it being queued.
+ */
+
+const PENDING_PREFIX = 'retry:';
+const DEAD_PREFIX = 'dead:';
+const UNHANDLED_PREFIX = 'unhandled:';
+
+export const MAX_ATTEMPTS = 8;
+const BASE_BACKOFF_MS = 60 * 1000;        // 1 minute
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+/**
+ * KV-backed store
+ */
+export class KVRetryStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async get(key) {
+    return await this.kv.get(key, 'json');
+  }
+
+  async put(key, value) {
+    await this.kv.put(key, JSON.stringify(value));
+  }
+
+  async delete(key) {
+    await this.kv.delete(key);
+  }
+
+  async list(prefix) {
+    const keys = [];
+    let cursor;
+    do {
+      const result = await this.kv.list({ prefix, cursor });
+      result.keys.forEach(k => keys.push(k.name));
+      cursor = result.list_complete ? null : result.cursor;
+    } while (cursor);
+    return keys;
+  }
+}
+
+/**
+ * In-memory store (not durable; for tests)
+ */
+export class MemoryRetryStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async get(key) {
+    return this.items.has(key) ? structuredClone(this.items.get(key)) : null;
+  }
+
+  async put(key, value) {
+    this.items.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    this.items.delete(key);
+  }
+
+  async list(prefix) {
+    return [...this.items.keys()].filter(key => key.startsWith(prefix));
+  }
+}
+
+/**
+ * Delay before the next attempt: 1m, 2m, 4m, ... capped at 6h
+ */
+export function backoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+export class RetryQueue {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Persist a failed payload. Entries are keyed on the session ID, so a
+   * redelivered failing webhook updates the existing entry.
+   * @param {string} [provider] - Provider slug the payload came from (providers.js)
+   */
+  async enqueue(id, payload, error, provider = 'read-ai') {
+    const existing = await this.store.get(PENDING_PREFIX + id);
+    const now = Date.now();
+    const entry = {
+      id,
+      provider,
+      payload,
+      attempts: existing ? existing.attempts : 0,
+      createdAt: existing ? existing.createdAt : new Date(now).toISOString(),
+      lastError: error,
+      nextAttemptAt: new Date(now + backoffDelay(1)).toISOString()
+    };
+    await this.store.put(PENDING_PREFIX + id, entry);
+    await this.store.delete(DEAD_PREFIX + id);
+    return entry;
+  }
+
+  /**
+   * Keep an event the worker can't process (not retried automatically)
+   * @param {Object} details - { reason, version, event, provider }
+   */
+  async storeUnhandled(id, payload, details) {
+    const entry = {
+      id,
+      provider: details.provider || 'read-ai',
+      payload,
+      attempts: 0,
+      createdAt: new Date().toISOString(),
+      lastError: details.reason,
+      version: details.version,
+      event: details.event
+    };
+    await this.store.put(UNHANDLED_PREFIX + id, entry);
+    return entry;
+  }
+
+  /**
+   * Pending entries whose next attempt is due
+   */
+  async due(now = Date.now()) {
+    const entries = await this.listPending();
+    return entries.filter(entry => new Date(entry.nextAttemptAt).getTime() <= now);
+  }
+
+  /**
+   * Record a failed attempt: reschedule, or move to dead-letter after MAX_ATTEMPTS
+   * @returns {Promise<{dead: boolean, entry: Object}>}
+   */
+  async recordFailure(id, error, now = Date.now()) {
+    const entry = await this.store.get(PENDING_PREFIX + id);
+    if (!entry) return { dead: false, entry: null };
+
+    entry.attempts += 1;
+    entry.lastError = error;
+    entry.lastAttemptAt = new Date(now).toISOString();
+
+    if (entry.attempts >= MAX_ATTEMPTS) {
+      entry.deadAt = entry.lastAttemptAt;
+      delete entry.nextAttemptAt;
+      await this.store.put(DEAD_PREFIX + id, entry);
+      await this.store.delete(PENDING_PREFIX + id);
+      return { dead: true, entry };
+    }
+
+    entry.nextAttemptAt = new Date(now + backoffDelay(entry.attempts + 1)).toISOString();
+    await this.store.put(PENDING_PREFIX + id, entry);
+    return { dead: false, entry };
+  }
+
+  /**
+   * Remove an entry (pending, dead or unhandled) once it was written successfully
+   */
+  async resolve(id) {
+    await this.store.delete(PENDING_PREFIX + id);
+    await this.store.delete(DEAD_PREFIX + id);
+    await this.store.delete(UNHANDLED_PREFIX + id);
+  }
+
+  /**
+   * Find an entry in the pending, dead-letter or unhandled list
+   */
+  async find(id) {
+    return (await this.store.get(PENDING_PREFIX + id)) ||
+      (await this.store.get(DEAD_PREFIX + id)) ||
+      (await this.store.get(UNHANDLED_PREFIX + id));
+  }
+
+  async listPending() {
+    return this.listByPrefix(PENDING_PREFIX);
+  }
+
+  async listDead() {
+    return this.listByPrefix(DEAD_PREFIX);
+  }
+
+  async listUnhandled() {
+    return this.listByPrefix(UNHANDLED_PREFIX);
+  }
+
+  async listByPrefix(prefix) {
+    const keys = await this.store.list(prefix);
+    const entries = await Promise.all(keys.map(key => this.store.get(key)));
+    return entries.filter(Boolean);
+  }
+}
+
+/**
+ * Retry queue for the worker environment
+ * @returns {RetryQueue|null} Null when the RETRY_QUEUE KV namespace is not bound
+ */
+export function getRetryQueue(env) {
+  if (!env.RETRY_QUEUE) {
+    console.warn('⚠️ RETRY_QUEUE KV namespace is not bound - failed deliveries are not queued (see wrangler.toml)');
+    return null;
+  }
+  return new RetryQueue(new KVRetryStore(env.RETRY_QUEUE));
+}
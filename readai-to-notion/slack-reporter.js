@@ -0,0 +1,381 @@
+/**
+ * Slack reporting for the Read.ai worker
+ *
+ * Each meeting gets one parent message in SLACK_CHANNEL; follow-up details
+ * (validation, retries, error details) go into its thread. SLACK_VERBOSITY:
+ *   errors  - only failures and alerts
+ *   summary - one message per meeting (default)
+ *   debug   - the parent is posted on receipt and every step is a thread reply
+ *
+ * With SLACK_DIGEST=true, successful meetings are not posted one by one but
+ * collected in the SLACK_STATE KV namespace and posted as one daily digest
+ * at SLACK_DIGEST_HOUR (UTC) by the cron trigger. Thread timestamps of failed
+ * meetings are kept there too, so retries reply in the original thread.
+ *
+ * With STATS_DIGEST_DAY (e.g. "monday"), the meeting analytics of the past
+ * week are posted on that day at the same hour (see analytics.js).
+ *
+ * Project channel summaries are tracked there as well: a meeting is marked
+ * when its page is created and unmarked once its summary is posted, so a
+ * retry after a failed body write still posts it.
+ */
+
+import { KVRetryStore } from './retry-queue.js';
+
+export const VERBOSITY_LEVELS = ['errors', 'summary', 'debug'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const THREAD_PREFIX = 'thread:';
+const DIGEST_PREFIX = 'digest:entry:';
+const DIGEST_LAST_KEY = 'digest:last';
+const STATS_LAST_KEY = 'stats:last';
+const SUMMARY_PREFIX = 'summary:';
+const DEFAULT_DIGEST_HOUR = 8;
+const MAX_DETAIL_LENGTH = 2500;
+
+/**
+ * Notion URL of a page ID
+ */
+export function notionPageUrl(pageId) {
+  return `https://notion.so/${String(pageId).replace(/-/g, '')}`;
+}
+
+export class SlackReporter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.token] - Slack bot token
+   * @param {string} [options.channel] - Channel for meeting reports
+   * @param {'errors'|'summary'|'debug'} [options.verbosity]
+   * @param {boolean} [options.digest] - Batch successful meetings into a daily digest
+   * @param {number} [options.digestHour] - UTC hour of the daily digest
+   * @param {number|null} [options.statsDay] - UTC weekday (0 = Sunday) of the weekly meeting analytics
+   * @param {Object} [options.store] - KV-style store (get/put/delete/list) for threads and digest entries
+   */
+  constructor({ token, channel, verbosity = 'summary', digest = false, digestHour = DEFAULT_DIGEST_HOUR, statsDay = null, store = null }) {
+    this.token = token;
+    this.channel = channel;
+    this.verbosity = VERBOSITY_LEVELS.includes(verbosity) ? verbosity : 'summary';
+    this.store = store;
+    this.digest = digest && this.verbosity === 'summary' && Boolean(store);
+    this.digestHour = digestHour;
+    this.statsDay = store ? statsDay : null;
+
+    // Digest settings only take effect in the cron run, which logs them (see warnDigestConfig)
+    this.digestWarnings = [];
+    if (digest && !store) {
+      this.digestWarnings.push('⚠️ SLACK_DIGEST needs the SLACK_STATE KV namespace - posting meetings individually');
+    }
+    if (statsDay !== null && !store) {
+      this.digestWarnings.push('⚠️ STATS_DIGEST_DAY is set but the SLACK_STATE KV namespace is not bound - no weekly meeting digest');
+    }
+
+    if (!VERBOSITY_LEVELS.includes(verbosity)) {
+      console.warn(`⚠️ Unknown SLACK_VERBOSITY "${verbosity}", using "summary"`);
+    }
+  }
+
+  /**
+   * Reporter for the worker environment
+   */
+  static fromEnv(env) {
+    const digestHour = Number.parseInt(env.SLACK_DIGEST_HOUR, 10);
+    const statsDayName = String(env.STATS_DIGEST_DAY || '').trim().toLowerCase();
+    const statsDay = WEEKDAYS.indexOf(statsDayName);
+    const reporter = new SlackReporter({
+      token: env.SLACK_BOT_TOKEN,
+      channel: env.SLACK_CHANNEL,
+      verbosity: (env.SLACK_VERBOSITY || 'summary').trim().toLowerCase(),
+      digest: String(env.SLACK_DIGEST || '').toLowerCase() === 'true',
+      digestHour: Number.isInteger(digestHour) && digestHour >= 0 && digestHour < 24 ? digestHour : DEFAULT_DIGEST_HOUR,
+      statsDay: statsDay >= 0 ? statsDay : null,
+      store: env.SLACK_STATE ? new KVRetryStore(env.SLACK_STATE) : null
+    });
+    if (statsDayName && statsDay < 0) {
+      reporter.digestWarnings.push(`⚠️ Unknown STATS_DIGEST_DAY "${env.STATS_DIGEST_DAY}" - expected a weekday name, no weekly meeting digest`);
+    }
+    return reporter;
+  }
+
+  /**
+   * Log digest settings that can't take effect (called on every cron run,
+   * so a missing SLACK_STATE binding doesn't go unnoticed)
+   */
+  warnDigestConfig() {
+    this.digestWarnings.forEach(warning => console.warn(warning));
+  }
+
+  get enabled() {
+    return Boolean(this.token && this.channel);
+  }
+
+  /**
+   * Call a Slack Web API method
+   * @returns {Promise<Object|null>} Response body, or null on failure
+   */
+  async call(method, body) {
+    if (!this.enabled) {
+      console.log(`📱 Slack notification (disabled): ${body.text}`);
+      return null;
+    }
+
+    try {
+      const response = await fetch(`https://slack.com/api/${method}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!result.ok) {
+        console.error(`❌ Slack ${method} failed:`, result.error);
+        return null;
+      }
+      return result;
+    } catch (error) {
+      console.error(`❌ Error calling Slack ${method}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Post a message (or thread reply)
+   * @returns {Promise<{channel: string, ts: string}|null>}
+   */
+  async post(text, { thread = null, channel = this.channel } = {}) {
+    const result = await this.call('chat.postMessage', {
+      channel: thread ? thread.channel : channel,
+      text,
+      thread_ts: thread ? thread.ts : undefined,
+      unfurl_links: false
+    });
+    return result ? { channel: result.channel, ts: result.ts } : null;
+  }
+
+  /**
+   * Alerts (rejected webhooks, dead-letter entries) are posted at every verbosity
+   */
+  async alert(text, details) {
+    const parent = await this.post(text);
+    if (parent && details) {
+      await this.post(truncate(details), { thread: parent });
+    }
+  }
+
+  /**
+   * Start reporting on one meeting
+   */
+  meeting(webhookData, sessionId) {
+    return new MeetingReport(this, webhookData, sessionId);
+  }
+
+  /**
+   * Add a successful meeting to the next digest (redeliveries replace the entry)
+   */
+  async addToDigest(sessionId, entry) {
+    await this.store.put(DIGEST_PREFIX + sessionId, { ...entry, at: new Date().toISOString() });
+  }
+
+  /**
+   * Post the daily digest once the digest hour is reached. Safe to call from
+   * every cron run: it posts at most once per UTC day.
+   */
+  async postDigestIfDue(now = new Date()) {
+    if (!this.digest || now.getUTCHours() < this.digestHour) return false;
+
+    const today = now.toISOString().split('T')[0];
+    const last = await this.store.get(DIGEST_LAST_KEY);
+    if (last && last.date === today) return false;
+
+    const keys = await this.store.list(DIGEST_PREFIX);
+    const entries = (await Promise.all(keys.map(key => this.store.get(key)))).filter(Boolean)
+      .sort((a, b) => a.at.localeCompare(b.at));
+
+    if (entries.length > 0) {
+      const lines = [`📬 *Read.ai digest* — ${entries.length} meeting${entries.length === 1 ? '' : 's'} written to Notion`];
+      entries.forEach(entry => lines.push(`• ${formatMeetingLine(entry)}`));
+      const posted = await this.post(lines.join('\n'));
+      if (!posted) return false;
+      await Promise.all(keys.map(key => this.store.delete(key)));
+    }
+
+    await this.store.put(DIGEST_LAST_KEY, { date: today, count: entries.length });
+    console.log(`📬 Digest posted with ${entries.length} meetings`);
+    return true;
+  }
+
+  /**
+   * Mark a newly created meeting page as waiting for its project summary
+   * @returns {Promise<boolean>} false without SLACK_STATE
+   */
+  async markSummaryPending(sessionId, pageId) {
+    if (!this.store) return false;
+    await this.store.put(SUMMARY_PREFIX + sessionId, { pageId, createdAt: new Date().toISOString() });
+    return true;
+  }
+
+  /**
+   * Whether a meeting still waits for its project summary
+   * @returns {Promise<boolean|null>} null without SLACK_STATE
+   */
+  async isSummaryPending(sessionId) {
+    if (!this.store) return null;
+    return Boolean(await this.store.get(SUMMARY_PREFIX + sessionId));
+  }
+
+  /**
+   * Record that a meeting's project summary was posted (or needs none)
+   */
+  async clearSummaryPending(sessionId) {
+    if (this.store) await this.store.delete(SUMMARY_PREFIX + sessionId);
+  }
+
+  /**
+   * Post the weekly meeting analytics once the stats day and digest hour are
+   * reached (at most once per day, like the daily digest)
+   * @param {() => Promise<string>} buildMessage - Loads the stats and formats the message
+   */
+  async postStatsDigestIfDue(now, buildMessage) {
+    if (this.statsDay === null || now.getUTCDay() !== this.statsDay || now.getUTCHours() < this.digestHour) return false;
+
+    const today = now.toISOString().split('T')[0];
+    const last = await this.store.get(STATS_LAST_KEY);
+    if (last && last.date === today) return false;
+
+    const posted = await this.post(await buildMessage());
+    if (!posted) return false;
+
+    await this.store.put(STATS_LAST_KEY, { date: today });
+    console.log('📈 Weekly meeting digest posted');
+    return true;
+  }
+}
+
+/**
+ * The parent message and thread of one meeting
+ */
+class MeetingReport {
+  constructor(reporter, webhookData, sessionId) {
+    this.reporter = reporter;
+    this.webhookData = webhookData || {};
+    this.sessionId = sessionId || null;
+    this.thread = null;
+    this.threadLoaded = false;
+  }
+
+  get title() {
+    return this.webhookData.title || 'Untitled meeting';
+  }
+
+  /**
+   * Thread saved by an earlier failed attempt of the same session
+   */
+  async loadThread() {
+    if (!this.threadLoaded && this.reporter.store && this.sessionId) {
+      this.thread = await this.reporter.store.get(THREAD_PREFIX + this.sessionId);
+    }
+    this.threadLoaded = true;
+    return this.thread;
+  }
+
+  /**
+   * Post the parent message, or update it when it exists
+   */
+  async setParent(text) {
+    await this.loadThread();
+    if (this.thread) {
+      await this.reporter.call('chat.update', { channel: this.thread.channel, ts: this.thread.ts, text });
+    } else {
+      this.thread = await this.reporter.post(text);
+    }
+    return this.thread;
+  }
+
+  async reply(text) {
+    if (this.thread) {
+      await this.reporter.post(truncate(text), { thread: this.thread });
+    }
+  }
+
+  /**
+   * Step detail, only posted at debug verbosity
+   */
+  async debug(text) {
+    if (this.reporter.verbosity !== 'debug') return;
+    if (!(await this.loadThread())) {
+      await this.setParent(`⏳ *${this.title}* — processing`);
+    }
+    await this.reply(text);
+  }
+
+  /**
+   * Meeting written to Notion
+   * @param {Object} result
+   * @param {'created'|'updated'} result.action
+   * @param {string} result.notionPageId
+   * @param {string} [result.type] - Meeting category
+   * @param {{created: number}} [result.tasks] - Task sync summary
+   * @param {number} [result.duration] - Processing time in ms
+   */
+  async succeeded({ action, notionPageId, type, tasks, duration }) {
+    const entry = { title: this.title, action, notionPageId, type, tasksCreated: tasks ? tasks.created : null };
+    const { reporter } = this;
+    const hadThread = Boolean(await this.loadThread());
+
+    if (hadThread || reporter.verbosity === 'debug') {
+      await this.setParent(`✅ ${formatMeetingLine(entry)}`);
+      if (hadThread) await this.reply(`✅ Written to Notion${duration ? ` in ${Math.round(duration)}ms` : ''}`);
+    } else if (reporter.digest) {
+      await reporter.addToDigest(this.sessionId || notionPageId, entry);
+    } else if (reporter.verbosity === 'summary') {
+      await this.setParent(`✅ ${formatMeetingLine(entry)}`);
+    }
+
+    if (reporter.store && this.sessionId) {
+      await reporter.store.delete(THREAD_PREFIX + this.sessionId);
+    }
+  }
+
+  /**
+   * Meeting could not be written
+   * @param {Object} failure
+   * @param {string} failure.error - Error message
+   * @param {string} [failure.state] - 'queued' (will be retried), 'dead' (gave up), 'stored' (unprocessable event kept for replay) or 'rejected'
+   * @param {string} [failure.details] - Thread reply with more context
+   */
+  async failed({ error, state = 'rejected', details }) {
+    const headline = {
+      queued: 'Notion write failed, queued for retry',
+      dead: 'Notion write failed, gave up',
+      stored: 'Event stored without processing',
+      rejected: 'Webhook rejected'
+    }[state];
+
+    await this.setParent(`❌ *${this.title}* — ${headline}`);
+    await this.reply([`🚨 ${error}`, details].filter(Boolean).join('\n'));
+
+    if (this.reporter.store && this.sessionId && this.thread) {
+      if (state === 'queued') {
+        await this.reporter.store.put(THREAD_PREFIX + this.sessionId, this.thread);
+      } else {
+        await this.reporter.store.delete(THREAD_PREFIX + this.sessionId);
+      }
+    }
+  }
+}
+
+/**
+ * One-line meeting summary with the Notion link
+ */
+function formatMeetingLine({ title, action, notionPageId, type, tasksCreated }) {
+  const parts = [action === 'updated' ? 'updated' : 'created'];
+  if (type) parts.push(type);
+  if (tasksCreated) parts.push(`${tasksCreated} task${tasksCreated === 1 ? '' : 's'}`);
+  const name = String(title || 'Untitled meeting').replace(/[<>|]/g, '').replace(/&/g, '&amp;');
+  return `<${notionPageUrl(notionPageId)}|${name}> (${parts.join(' · ')})`;
+}
+
+function truncate(text) {
+  return text.length > MAX_DETAIL_LENGTH ? `${text.slice(0, MAX_DETAIL_LENGTH)}…` : text;
+}
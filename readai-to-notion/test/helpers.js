@@ -0,0 +1,28 @@
+/**
+ * Workers KV namespace stand-in for calling the worker in tests
+ * (values are stored as the strings the worker puts)
+ */
+export class MemoryKV {
+  constructor() {
+    this.values = new Map();
+  }
+
+  async get(key, type) {
+    if (!this.values.has(key)) return null;
+    const value = this.values.get(key);
+    return type === 'json' ? JSON.parse(value) : value;
+  }
+
+  async put(key, value) {
+    this.values.set(key, value);
+  }
+
+  async delete(key) {
+    this.values.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const keys = [...this.values.keys()].filter(key => key.startsWith(prefix)).map(name => ({ name }));
+    return { keys, list_complete: true };
+  }
+}
@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { normalizeReadAiPayload, PAYLOAD_VERSIONS, PROCESSABLE_EVENTS, MEETING_MODEL_VERSION } from '../payload.js';
+
+async function fixture(name) {
+  return JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+test('every payload version has a fixture', async () => {
+  for (const { name } of PAYLOAD_VERSIONS) {
+    const raw = await fixture(`read-ai-${name}`);
+    assert.equal(normalizeReadAiPayload(raw).version, name);
+  }
+});
+
+test('v1: flat meeting_end payload', async () => {
+  const result = normalizeReadAiPayload(await fixture('read-ai-v1'));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.version, 'v1');
+  assert.equal(result.event, 'meeting_end');
+  assert.deepEqual(result.meeting, {
+    source: 'read-ai',
+    model_version: MEETING_MODEL_VERSION,
+    event: 'meeting_end',
+    session_id: '01J8Z3V1K4N8Q2R5T7W9XBCDEF',
+    title: 'Phoenix kickoff',
+    start_time: '2025-03-04T15:00:00Z',
+    end_time: '2025-03-04T15:45:00Z',
+    report_url: 'https://app.read.ai/analytics/meetings/01J8Z3V1K4N8Q2R5T7W9XBCDEF',
+    owner: { name: 'Jane Doe', email: 'jane@example.org' },
+    participants: [
+      { name: 'Jane Doe', email: 'jane@example.org' },
+      { name: 'Sam Lee', email: 'sam@example.org' }
+    ],
+    summary: 'Kickoff for the Phoenix website rebuild.',
+    action_items: [
+      { text: 'Send the sitemap draft', assignee: 'Sam Lee' },
+      { text: 'Book the design review' }
+    ],
+    key_questions: [{ text: 'Who owns the content migration?' }],
+    topics: [{ text: 'Scope' }, { text: 'Timeline' }],
+    chapter_summaries: [{ title: 'Scope', description: 'What the rebuild covers.' }],
+    transcript: {
+      speaker_blocks: [
+        { start_time: 0, end_time: 4000, speaker: { name: 'Jane Doe' }, words: 'Welcome everyone.' }
+      ]
+    },
+    calendar_event: null,
+    description: null,
+    agenda: null
+  });
+});
+
+test('v2-envelope: meeting and recap objects are merged', async () => {
+  const result = normalizeReadAiPayload(await fixture('read-ai-v2-envelope'));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.version, 'v2-envelope');
+  assert.equal(result.event, 'recap_update');
+  assert.deepEqual(result.meeting, {
+    source: 'read-ai',
+    model_version: MEETING_MODEL_VERSION,
+    event: 'recap_update',
+    session_id: '01J8Z3V1K4N8Q2R5T7W9XBCDEF',
+    title: 'Phoenix kickoff',
+    start_time: '2025-03-04T15:00:00Z',
+    end_time: '2025-03-04T15:45:00Z',
+    report_url: 'https://app.read.ai/analytics/meetings/01J8Z3V1K4N8Q2R5T7W9XBCDEF',
+    owner: { name: 'Jane Doe', email: 'jane@example.org' },
+    participants: [
+      { name: 'jane@example.org', email: 'jane@example.org' },
+      { name: 'Sam Lee', email: null }
+    ],
+    summary: 'Updated recap of the Phoenix kickoff.',
+    action_items: [{ title: 'Send the sitemap draft', assignee: 'Sam Lee', text: 'Send the sitemap draft' }],
+    key_questions: [{ text: 'Who owns the content migration?' }],
+    topics: [],
+    chapter_summaries: [
+      { name: 'Scope', summary: 'What the rebuild covers.', title: 'Scope', description: 'What the rebuild covers.' },
+      { title: 'Timeline', description: '' }
+    ],
+    transcript: null,
+    calendar_event: null,
+    description: null,
+    agenda: null
+  });
+});
+
+test('v0-legacy: early field names and comma-separated lists', async () => {
+  const result = normalizeReadAiPayload(await fixture('read-ai-v0-legacy'));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.version, 'v0-legacy');
+  assert.equal(result.event, 'meeting_end');
+  assert.deepEqual(result.meeting, {
+    source: 'read-ai',
+    model_version: MEETING_MODEL_VERSION,
+    event: 'meeting_end',
+    session_id: '48213',
+    title: 'Phoenix kickoff',
+    start_time: null,
+    end_time: null,
+    report_url: null,
+    owner: null,
+    participants: [
+      { name: 'Jane Doe', email: 'jane@example.org' },
+      { name: 'Sam Lee', email: null }
+    ],
+    summary: 'Kickoff for the Phoenix website rebuild.',
+    action_items: [{ text: 'Send the sitemap draft' }, { text: 'Book the design review' }],
+    key_questions: [],
+    topics: [{ text: 'Scope' }, { text: 'Timeline' }],
+    chapter_summaries: [],
+    transcript: 'Jane Doe: Welcome everyone.',
+    calendar_event: null,
+    description: null,
+    agenda: null
+  });
+});
+
+test('every processable event name maps to an internal event', async () => {
+  const raw = await fixture('read-ai-v1');
+  for (const [name, event] of Object.entries(PROCESSABLE_EVENTS)) {
+    const result = normalizeReadAiPayload({ ...raw, trigger: name });
+    assert.equal(result.ok, true, name);
+    assert.equal(result.event, event, name);
+  }
+});
+
+test('rejects a payload without a session ID', async () => {
+  const { session_id: _sessionId, ...raw } = await fixture('read-ai-v1');
+  const result = normalizeReadAiPayload(raw);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'missing session ID');
+  assert.equal(result.meeting.session_id, null);
+});
+
+test('rejects an event outside PROCESSABLE_EVENTS', async () => {
+  const raw = await fixture('read-ai-v1');
+  const result = normalizeReadAiPayload({ ...raw, trigger: 'meeting_start' });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.event, 'meeting_start');
+  assert.equal(result.reason, 'unsupported event "meeting_start"');
+});
+
+test('rejects a payload that is not an object', () => {
+  assert.deepEqual(normalizeReadAiPayload([]), {
+    ok: false, version: null, event: null, reason: 'payload is not an object', meeting: null
+  });
+});
@@ -0,0 +1,226 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { RetryQueue, MemoryRetryStore, KVRetryStore, MAX_ATTEMPTS, backoffDelay } from '../retry-queue.js';
+import worker from '../worker.js';
+import { MemoryKV } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse('2025-03-04T16:00:00Z');
+const ADMIN_TOKEN = 'admin-test-token';
+
+async function fixture(name) {
+  return JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+function adminRequest(method, path, token = ADMIN_TOKEN) {
+  return new Request(`https://worker.example${path}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+}
+
+/**
+ * Notion API stand-in: an empty meeting database that accepts new pages
+ */
+function mockNotion(t, { failWrites = false } = {}) {
+  const calls = [];
+  t.mock.method(globalThis, 'fetch', async (url, options = {}) => {
+    const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+    const path = String(url).replace('https://api.notion.com/v1', '');
+    calls.push(`${options.method || 'GET'} ${path}`);
+
+    if (path === '/databases/db') return json({ data_sources: [{ id: 'ds' }] });
+    if (path === '/data_sources/ds') {
+      return json({ properties: { 'Meeting Title': { type: 'title' }, 'Session ID': { type: 'rich_text' }, 'Date': { type: 'date' } } });
+    }
+    if (path === '/data_sources/ds/query') return json({ results: [] });
+    if (path === '/pages') return failWrites ? json({ message: 'validation_error' }, 400) : json({ id: 'page-1' });
+    if (path.endsWith('/children')) return json({ results: [{ id: 'block-1' }] });
+    return json({ message: `unexpected ${path}` }, 404);
+  });
+  return calls;
+}
+
+function quiet(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+}
+
+test('backoff doubles from one minute and is capped at six hours', () => {
+  assert.equal(backoffDelay(1), MINUTE);
+  assert.equal(backoffDelay(2), 2 * MINUTE);
+  assert.equal(backoffDelay(4), 8 * MINUTE);
+  assert.equal(backoffDelay(20), 6 * 60 * MINUTE);
+});
+
+test('enqueue stores a pending entry due after the first backoff', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  const before = Date.now();
+  const entry = await queue.enqueue('S1', { session_id: 'S1' }, 'Notion 503', 'zoom');
+
+  assert.equal(entry.id, 'S1');
+  assert.equal(entry.provider, 'zoom');
+  assert.equal(entry.attempts, 0);
+  assert.equal(entry.lastError, 'Notion 503');
+  assert.ok(Date.parse(entry.nextAttemptAt) >= before + MINUTE);
+  assert.deepEqual(await queue.listPending(), [entry]);
+  assert.deepEqual(await queue.due(before), []);
+  assert.deepEqual(await queue.due(before + 2 * MINUTE), [entry]);
+});
+
+test('a redelivered failure updates the entry and keeps its attempts', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  const first = await queue.enqueue('S1', { v: 1 }, 'first');
+  await queue.recordFailure('S1', 'retry failed', NOW);
+  const second = await queue.enqueue('S1', { v: 2 }, 'second');
+
+  assert.equal(second.attempts, 1);
+  assert.equal(second.createdAt, first.createdAt);
+  assert.deepEqual(second.payload, { v: 2 });
+  assert.equal((await queue.listPending()).length, 1);
+});
+
+test('recordFailure reschedules with exponential backoff', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  await queue.enqueue('S1', {}, 'first');
+
+  const { dead, entry } = await queue.recordFailure('S1', 'second', NOW);
+  assert.equal(dead, false);
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.lastError, 'second');
+  assert.equal(entry.lastAttemptAt, new Date(NOW).toISOString());
+  assert.equal(entry.nextAttemptAt, new Date(NOW + 2 * MINUTE).toISOString());
+
+  const third = await queue.recordFailure('S1', 'third', NOW);
+  assert.equal(third.entry.nextAttemptAt, new Date(NOW + 4 * MINUTE).toISOString());
+});
+
+test('recordFailure ignores unknown entries', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  assert.deepEqual(await queue.recordFailure('missing', 'error', NOW), { dead: false, entry: null });
+});
+
+test('an entry is dead-lettered after MAX_ATTEMPTS failures', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  await queue.enqueue('S1', {}, 'first');
+
+  let result;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    result = await queue.recordFailure('S1', `attempt ${attempt}`, NOW);
+    assert.equal(result.dead, attempt === MAX_ATTEMPTS);
+  }
+
+  assert.equal(result.entry.attempts, MAX_ATTEMPTS);
+  assert.equal(result.entry.deadAt, new Date(NOW).toISOString());
+  assert.equal(result.entry.nextAttemptAt, undefined);
+  assert.deepEqual(await queue.listPending(), []);
+  assert.deepEqual(await queue.listDead(), [result.entry]);
+  assert.deepEqual(await queue.due(NOW + 365 * 24 * 60 * MINUTE), []);
+});
+
+test('resolve removes pending, dead and unhandled entries', async () => {
+  const queue = new RetryQueue(new MemoryRetryStore());
+  await queue.enqueue('S1', {}, 'error');
+  await queue.storeUnhandled('S2:start', {}, { reason: 'unsupported event "start"', event: 'start' });
+  await queue.enqueue('S3', {}, 'error');
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    await queue.recordFailure('S3', 'error', NOW);
+  }
+
+  assert.equal((await queue.find('S3')).deadAt, new Date(NOW).toISOString());
+  await Promise.all(['S1', 'S2:start', 'S3'].map(id => queue.resolve(id)));
+
+  assert.deepEqual(await queue.listPending(), []);
+  assert.deepEqual(await queue.listDead(), []);
+  assert.deepEqual(await queue.listUnhandled(), []);
+  assert.equal(await queue.find('S1'), null);
+});
+
+test('GET /admin/failed needs the admin token', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, RETRY_QUEUE: new MemoryKV() };
+
+  assert.equal((await worker.fetch(adminRequest('GET', '/admin/failed', null), env, {})).status, 401);
+  assert.equal((await worker.fetch(adminRequest('GET', '/admin/failed', 'wrong-token'), env, {})).status, 401);
+});
+
+test('GET /admin/failed lists pending, dead and unhandled entries', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, RETRY_QUEUE: new MemoryKV() };
+  const queue = new RetryQueue(new KVRetryStore(env.RETRY_QUEUE));
+  const payload = await fixture('read-ai-v1');
+  await queue.enqueue('pending-1', payload, 'Notion 503');
+  await queue.enqueue('dead-1', payload, 'Notion 401');
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    await queue.recordFailure('dead-1', 'Notion 401', NOW);
+  }
+  await queue.storeUnhandled('S:meeting_start', { ...payload, trigger: 'meeting_start' }, {
+    reason: 'unsupported event "meeting_start"', version: 'v1', event: 'meeting_start'
+  });
+
+  const response = await worker.fetch(adminRequest('GET', '/admin/failed'), env, {});
+  assert.equal(response.status, 200);
+  const body = await response.json();
+
+  assert.deepEqual(body.pending.map(entry => [entry.id, entry.title, entry.attempts]), [['pending-1', 'Phoenix kickoff', 0]]);
+  assert.deepEqual(body.dead.map(entry => [entry.id, entry.attempts, entry.deadAt]), [['dead-1', MAX_ATTEMPTS, new Date(NOW).toISOString()]]);
+  assert.deepEqual(body.unhandled.map(entry => [entry.id, entry.event, entry.lastError]), [
+    ['S:meeting_start', 'meeting_start', 'unsupported event "meeting_start"']
+  ]);
+});
+
+test('POST /admin/replay/:id writes the meeting and resolves the entry', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, NOTION_TOKEN: 'secret_test', MEETING_DATABASE_ID: 'db', RETRY_QUEUE: new MemoryKV() };
+  const queue = new RetryQueue(new KVRetryStore(env.RETRY_QUEUE));
+  await queue.enqueue('01J8Z3V1K4N8Q2R5T7W9XBCDEF', await fixture('read-ai-v1'), 'Notion 503');
+  const calls = mockNotion(t);
+
+  const response = await worker.fetch(adminRequest('POST', '/admin/replay/01J8Z3V1K4N8Q2R5T7W9XBCDEF'), env, {});
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), {
+    success: true, id: '01J8Z3V1K4N8Q2R5T7W9XBCDEF', action: 'created', notionPageId: 'page-1'
+  });
+  assert.ok(calls.includes('POST /pages'));
+  assert.equal(await queue.find('01J8Z3V1K4N8Q2R5T7W9XBCDEF'), null);
+});
+
+test('POST /admin/replay/:id keeps the entry when the write fails', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, NOTION_TOKEN: 'secret_test', MEETING_DATABASE_ID: 'db', RETRY_QUEUE: new MemoryKV() };
+  const queue = new RetryQueue(new KVRetryStore(env.RETRY_QUEUE));
+  await queue.enqueue('S1', await fixture('read-ai-v1'), 'Notion 503');
+  mockNotion(t, { failWrites: true });
+
+  const response = await worker.fetch(adminRequest('POST', '/admin/replay/S1'), env, {});
+  assert.equal(response.status, 502);
+  assert.ok(await queue.find('S1'));
+});
+
+test('POST /admin/replay/:id answers 404 for an unknown id', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, RETRY_QUEUE: new MemoryKV() };
+
+  const response = await worker.fetch(adminRequest('POST', '/admin/replay/missing'), env, {});
+  assert.equal(response.status, 404);
+});
+
+test('without RETRY_QUEUE, webhooks are processed inline and admin routes answer 503', async t => {
+  quiet(t);
+  const env = { ADMIN_TOKEN, NOTION_TOKEN: 'secret_test', MEETING_DATABASE_ID: 'db', WEBHOOK_VERIFY_DISABLED: 'true' };
+  const webhook = async () => worker.fetch(new Request('https://worker.example/webhook/read-ai', {
+    method: 'POST',
+    body: JSON.stringify(await fixture('read-ai-v1'))
+  }), env, {});
+
+  mockNotion(t);
+  assert.equal((await webhook()).status, 200);
+
+  globalThis.fetch.mock.restore();
+  mockNotion(t, { failWrites: true });
+  assert.equal((await webhook()).status, 503);
+
+  assert.equal((await worker.fetch(adminRequest('GET', '/admin/failed'), env, {})).status, 503);
+});
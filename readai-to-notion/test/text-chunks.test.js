@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkText } from '../text-chunks.js';
+
+test('text within the limit is a single chunk', () => {
+  assert.deepEqual(chunkText('Short text.', 2000), ['Short text.']);
+});
+
+test('a period right at the limit does not overflow the chunk', () => {
+  const text = `${'a'.repeat(2000)}.${' b'.repeat(100)}`;
+  const chunks = chunkText(text, 2000);
+
+  assert.ok(chunks.every(chunk => chunk.length <= 2000), chunks.map(chunk => chunk.length).join(', '));
+  assert.equal(chunks.join('').replace(/\s/g, ''), text.replace(/\s/g, ''));
+});
+
+test('chunks end after the last sentence that fits', () => {
+  const sentence = `${'word '.repeat(99)}end.`; // 499 characters
+  const chunks = chunkText(`${sentence} ${sentence} ${sentence} ${sentence} ${sentence}`, 2000);
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0], [sentence, sentence, sentence, sentence].join(' '));
+  assert.equal(chunks[1], sentence);
+});
+
+test('long text without spaces is cut at the limit', () => {
+  const chunks = chunkText('x'.repeat(4500), 2000);
+  assert.deepEqual(chunks.map(chunk => chunk.length), [2000, 2000, 500]);
+});
@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { normalizeZoomPayload, getZoomValidationToken } from '../zoom.js';
+import { getProvider } from '../providers.js';
+import { MEETING_MODEL_VERSION } from '../payload.js';
+import worker from '../worker.js';
+import { MemoryKV } from './helpers.js';
+
+const SECRET = 'zoom-test-secret';
+
+async function fixture(name) {
+  return JSON.parse(await readFile(new URL(`./fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+function sign(value) {
+  return createHmac('sha256', SECRET).update(value).digest('hex');
+}
+
+/**
+ * Zoom webhook request signed the way Zoom signs it
+ */
+function zoomRequest(payload, { signature } = {}) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  return new Request('https://worker.example/webhook/zoom', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-zm-request-timestamp': timestamp,
+      'x-zm-signature': signature || `v0=${sign(`v0:${timestamp}:${body}`)}`
+    },
+    body
+  });
+}
+
+function workerEnv() {
+  return { ZOOM_WEBHOOK_SECRET: SECRET, NOTION_TOKEN: 'secret_test', MEETING_DATABASE_ID: 'db', RETRY_QUEUE: new MemoryKV() };
+}
+
+test('summary_completed: normalized meeting shape', async () => {
+  const result = normalizeZoomPayload(await fixture('zoom-summary-completed'));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.version, 'zoom-v1');
+  assert.equal(result.event, 'meeting_end');
+  assert.deepEqual(result.meeting, {
+    source: 'zoom',
+    model_version: MEETING_MODEL_VERSION,
+    event: 'meeting_end',
+    session_id: 'zoom:4444AAAiAAAAAiAiAiiAii==',
+    title: 'Phoenix weekly sync',
+    start_time: '2025-03-04T15:00:00Z',
+    end_time: '2025-03-04T15:30:00Z',
+    report_url: null,
+    owner: { name: 'jane@example.org', email: 'jane@example.org' },
+    participants: [],
+    summary: 'The team reviewed the sitemap and agreed on the launch date.',
+    action_items: [
+      { text: 'Sam will update the sitemap' },
+      { text: 'Jane will confirm the launch date with the client' }
+    ],
+    key_questions: [],
+    topics: [],
+    chapter_summaries: [
+      { title: 'Sitemap review', description: 'The sitemap draft was approved with two changes.' },
+      { title: 'Launch date', description: 'Launch moves to the first week of April.' }
+    ],
+    transcript: null,
+    calendar_event: null,
+    description: null,
+    agenda: null
+  });
+});
+
+test('summary_updated is a recap update', async () => {
+  const raw = await fixture('zoom-summary-completed');
+  const result = normalizeZoomPayload({ ...raw, event: 'meeting.summary_updated' });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.event, 'recap_update');
+});
+
+test('other Zoom events are not processable', async () => {
+  const raw = await fixture('zoom-summary-completed');
+  const result = normalizeZoomPayload({ ...raw, event: 'recording.completed' });
+
+  assert.equal(result.ok, false);
+  assert.equal(result.reason, 'unsupported event "recording.completed"');
+});
+
+test('the Zoom provider uses the Zoom adapter', () => {
+  const provider = getProvider('zoom');
+
+  assert.equal(provider.normalize, normalizeZoomPayload);
+  assert.equal(provider.handshake, getZoomValidationToken);
+  assert.equal(provider.signature({ ZOOM_WEBHOOK_SECRET: SECRET }).secret, SECRET);
+});
+
+test('URL validation: answers with the plain token and its HMAC', async t => {
+  t.mock.method(console, 'log', () => {});
+  const request = zoomRequest({ event: 'endpoint.url_validation', payload: { plainToken: 'qgg8vlvZRS6UYooatFL8Aw' } });
+  const response = await worker.fetch(request, workerEnv(), {});
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), {
+    plainToken: 'qgg8vlvZRS6UYooatFL8Aw',
+    encryptedToken: sign('qgg8vlvZRS6UYooatFL8Aw')
+  });
+});
+
+test('URL validation: rejects a request with a wrong signature', async t => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'error', () => {});
+  const request = zoomRequest(
+    { event: 'endpoint.url_validation', payload: { plainToken: 'qgg8vlvZRS6UYooatFL8Aw' } },
+    { signature: `v0=${'0'.repeat(64)}` }
+  );
+  const response = await worker.fetch(request, workerEnv(), {});
+
+  assert.equal(response.status, 401);
+});
@@ -0,0 +1,44 @@
+/**
+ * Splitting long text for Notion rich text items
+ *
+ * Notion caps a rich text item at 2000 characters, so summaries and
+ * transcripts are cut into chunks of at most that size, preferably after a
+ * sentence or at a word boundary in the second half of the chunk.
+ */
+
+/**
+ * Split text into chunks of at most maxSize characters
+ * @param {string} text
+ * @param {number} maxSize
+ * @returns {string[]}
+ */
+export function chunkText(text, maxSize) {
+  if (text.length <= maxSize) {
+    return [text];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = start + maxSize;
+
+    if (end < text.length) {
+      // Search from the last character that fits: a '.' at index `end` would
+      // make the chunk one character too long
+      const lastSentence = text.lastIndexOf('.', end - 1);
+      const lastWord = text.lastIndexOf(' ', end);
+
+      if (lastSentence > start + maxSize * 0.5) {
+        end = lastSentence + 1;
+      } else if (lastWord > start + maxSize * 0.5) {
+        end = lastWord;
+      }
+    }
+
+    chunks.push(text.slice(start, end).trim());
+    start = end;
+  }
+
+  return chunks;
+}
@@ -4,10 +4,57 @@
  * Updated for Notion API version 2025-09-03 with multi-source database support
  */
 
+import { getRetryQueue, MAX_ATTEMPTS } from './retry-queue.js';
+import { getProvider, DEFAULT_PROVIDER } from './providers.js';
+import { loadClassificationRules, classifyMeeting, domainMatches } from './classification.js';
+import { SlackReporter, notionPageUrl } from './slack-reporter.js';
+import { getCachedDataSource, invalidateDataSource, fitPropertiesToSchema, schemaPropertyName } from './notion-schema.js';
+import { aggregateMeetingStats, formatStatsDigest, DEFAULT_STATS_DAYS, MAX_STATS_DAYS } from './analytics.js';
+import { chunkText } from './text-chunks.js';
+
 // Environment variables (set in Cloudflare Workers dashboard)
 const NOTION_API_BASE = 'https://api.notion.com/v1';
 const NOTION_API_VERSION = '2025-09-03';
 
+// Notion limits: 100 children per append request, 2000 characters per rich text item
+const NOTION_MAX_BLOCKS_PER_REQUEST = 100;
+const NOTION_MAX_TEXT_LENGTH = 2000;
+const NOTION_MAX_RETRIES = 5;
+
+// Webhook signature verification (per-provider HMAC settings in providers.js)
+const DEFAULT_SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Tasks database properties (action items) and member database email properties
+const TASK_PROPERTIES = {
+  title: 'Task',
+  dueDate: 'Due Date',
+  meeting: 'Meeting',
+  assignee: 'Assignee',
+  status: 'Status'
+};
+// Task status (status, select or checkbox property) values counted as done
+const TASK_DONE_STATUSES = ['done', 'complete', 'completed'];
+const MEMBER_EMAIL_PROPERTIES = ['Email 180', 'Email ESCP'];
+
+// Meeting page relations to the member and client databases
+const MEETING_RELATION_PROPERTIES = {
+  members: 'Members',
+  client: 'Client'
+};
+const CLIENT_WEBSITE_PROPERTY = 'Website';
+const DEFAULT_INTERNAL_EMAIL_DOMAINS = '180dc.org,escp.eu';
+
+// Meeting property recording which classification rule set the Type
+const CLASSIFICATION_RULE_PROPERTY = 'Classification Rule';
+// Meeting length in minutes, from the start and end times (meeting analytics)
+const MEETING_DURATION_PROPERTY = 'Duration';
+
+// Project channel summaries: override table key in WORKER_CONFIG, summary length cap
+const PROJECT_CHANNELS_KV_KEY = 'project-channels';
+// Meeting property renames (worker name → database name) in WORKER_CONFIG
+const MEETING_PROPERTIES_KV_KEY = 'meeting-properties';
+const SUMMARY_MAX_LENGTH = 1500;
+
 /**
  * Handle incoming requests
  */
@@ -16,8 +63,7 @@ export default {
     // Get environment variables from Cloudflare Workers secrets
     const NOTION_TOKEN = env.NOTION_TOKEN;
     const MEETING_DATABASE_ID = env.MEETING_DATABASE_ID;
-    const SLACK_BOT_TOKEN = env.SLACK_BOT_TOKEN;
-    const SLACK_CHANNEL = env.SLACK_CHANNEL;
+    const reporter = SlackReporter.fromEnv(env);
     const url = new URL(request.url);
     const method = request.method;
 
@@ -39,7 +85,7 @@ export default {
         return new Response(JSON.stringify({
           status: 'healthy',
           timestamp: new Date().toISOString(),
-          service: 'Read.ai Webhook Handler (Cloudflare Worker)'
+          service: 'Meeting Webhook Handler (Cloudflare Worker)'
         }), {
           status: 200,
           headers: { 'Content-Type': 'application/json', ...corsHeaders }
@@ -48,74 +94,22 @@ export default {
 
       // Removed test/dev endpoints in production worker
 
-      // Main webhook endpoint
-      if (url.pathname === '/webhook/read-ai' && method === 'POST') {
-        try {
-          const webhookData = await request.json();
-          console.log('🔔 Received webhook from Read.ai:', JSON.stringify(webhookData, null, 2));
-          
-          // Send webhook received notification
-          await sendWebhookReceivedNotification({
-            webhookData,
-            headers: Object.fromEntries(request.headers.entries()),
-            source: "Cloudflare Worker",
-            slackToken: SLACK_BOT_TOKEN,
-            slackChannel: SLACK_CHANNEL
-          });
-          
-          const result = await processWebhook(webhookData, NOTION_TOKEN, MEETING_DATABASE_ID, SLACK_BOT_TOKEN, SLACK_CHANNEL);
-          
-          console.log('📊 Webhook result:', JSON.stringify(result, null, 2));
-          
-          // Send enhanced Slack notification
-          await sendSlackNotification({
-            status: result.success ? 'success' : 'failure',
-            webhookType: 'Read.ai',
-            data: webhookData,
-            error: result.success ? null : new Error(result.error),
-            slackToken: SLACK_BOT_TOKEN,
-            slackChannel: SLACK_CHANNEL
-          });
-          
-          // Return a simple success response for Read.ai
-          if (result.success) {
-            return new Response(JSON.stringify({
-              status: 'success',
-              message: 'Webhook processed successfully'
-            }), {
-              status: 200,
-              headers: { 'Content-Type': 'application/json', ...corsHeaders }
-            });
-          } else {
-            return new Response(JSON.stringify({
-              status: 'error',
-              message: result.error
-            }), {
-              status: 400,
-              headers: { 'Content-Type': 'application/json', ...corsHeaders }
-            });
-          }
-        } catch (error) {
-          console.error('❌ Error parsing webhook data:', error);
-          
-          // Send Slack notification for parsing error
-          await sendSlackNotification({
-            status: 'failure',
-            webhookType: 'Read.ai',
-            data: null,
-            error: error,
-            slackToken: SLACK_BOT_TOKEN,
-            slackChannel: SLACK_CHANNEL
-          });
-          
-          return new Response(JSON.stringify({
-            success: false,
-            error: 'Invalid JSON payload',
-            timestamp: new Date().toISOString()
-          }), {
-            status: 400,
-            headers: { 'Content-Type': 'application/json', ...corsHeaders }
-          });
+      // Admin endpoints for the retry queue
+      if (url.pathname.startsWith('/admin/')) {
+        return await handleAdminRequest(request, url, env, corsHeaders);
+      }
+
+      // Meeting analytics
+      if (url.pathname === '/stats' && method === 'GET') {
+        return await handleStatsRequest(request, url, env, corsHeaders);
+      }
+
+      // Meeting webhooks, one route per provider (see providers.js)
+      const webhookMatch = url.pathname.match(/^\/webhook\/([a-z0-9-]+)$/);
+      if (webhookMatch && method === 'POST') {
+        const provider = getProvider(webhookMatch[1]);
+        if (provider) {
+          return await handleWebhook(request, provider, env, reporter, corsHeaders);
         }
       }
 
@@ -138,47 +132,467 @@ export default {
         headers: { 'Content-Type': 'application/json', ...corsHeaders }
       });
     }
+  },
+
+  /**
+   * Cron trigger: retry failed Notion writes, then post the daily Slack digest
+   * and the weekly meeting digest when due
+   */
+  async scheduled(event, env, ctx) {
+    const now = new Date(event.scheduledTime);
+    const reporter = SlackReporter.fromEnv(env);
+    reporter.warnDigestConfig();
+    ctx.waitUntil(processRetryQueue(env)
+      .catch(error => console.error('❌ Retry queue run failed:', error))
+      .then(() => reporter.postDigestIfDue(now))
+      .then(() => reporter.postStatsDigestIfDue(now, async () => formatStatsDigest(await loadMeetingStats(env, DEFAULT_STATS_DAYS, now))))
+      .catch(error => console.error('❌ Scheduled run failed:', error)));
   }
 };
 
 // Removed test helpers
 
 /**
- * Get data source ID from database ID (required for 2025-09-03 API)
+ * Handle a meeting webhook: verify the provider's signature, normalize the
+ * payload and write the meeting. Unprocessable events are stored, failed
+ * Notion writes are queued for retry.
  */
-async function getDataSourceId(databaseId, NOTION_TOKEN) {
-  try {
-    console.log(`🔍 Getting data source ID for database: ${databaseId}`);
-    
-    const response = await fetch(`${NOTION_API_BASE}/databases/${databaseId}`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${NOTION_TOKEN}`,
-        'Notion-Version': NOTION_API_VERSION
-      }
+async function handleWebhook(request, provider, env, reporter, corsHeaders) {
+  // Verify the shared-secret signature before touching the payload
+  const rawBody = await request.text();
+  const verification = await verifyWebhookSignature(request, rawBody, env, provider);
+  if (!verification.valid) {
+    console.error(`🚫 Webhook signature verification failed: ${verification.reason}`);
+    await reporter.alert(
+      `🚫 *${provider.name} webhook rejected:* ${verification.reason}`,
+      `🌐 IP: ${request.headers.get('cf-connecting-ip') || 'Unknown'}\n🧭 User-Agent: ${request.headers.get('user-agent') || 'Unknown'}`
+    );
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Unauthorized'
+    }), {
+      status: 401,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
     });
+  }
 
-    if (response.ok) {
-      const database = await response.json();
-      console.log('📊 Database response:', JSON.stringify(database, null, 2));
+  try {
+    const webhookData = JSON.parse(rawBody);
+    console.log(`🔔 Received webhook from ${provider.name}:`, JSON.stringify(webhookData, null, 2));
+    
+    // Endpoint validation challenge (e.g. Zoom): answer with the signed token
+    const handshakeToken = provider.handshake ? provider.handshake(webhookData) : null;
+    if (handshakeToken) {
+      const encryptedToken = await hmacSha256Hex(provider.signature(env).secret, handshakeToken);
+      return new Response(JSON.stringify({ plainToken: handshakeToken, encryptedToken }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    
+    const normalized = provider.normalize(webhookData);
+    const sessionId = normalized.meeting?.session_id || null;
+    const report = reporter.meeting(normalized.meeting, sessionId);
+    await report.debug(`🔔 Received \`${normalized.event || 'unknown'}\` webhook from ${provider.name} (${normalized.version} payload, session \`${sessionId || 'missing'}\`)`);
+    
+    const result = await processWebhook(normalized, env, report);
+    
+    console.log('📊 Webhook result:', JSON.stringify(result, null, 2));
+    
+    // Keep events we can't process so they can be replayed once supported
+    const queue = getRetryQueue(env);
+    if (result.unhandled && !queue) {
+      await report.failed({ error: result.error, state: 'rejected', details: '⚠️ Not stored: RETRY_QUEUE is not bound' });
+      return new Response(JSON.stringify({
+        status: 'ignored',
+        message: `Event not processed: ${normalized.reason}`
+      }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    if (result.unhandled) {
+      const stored = await queue.storeUnhandled(
+        sessionId ? `${sessionId}:${normalized.event || 'unknown'}` : crypto.randomUUID(),
+        webhookData,
+        { reason: normalized.reason, version: normalized.version, event: normalized.event, provider: provider.slug }
+      );
+      console.log(`📥 Stored unprocessable event: ${stored.id} (${normalized.reason})`);
+      await report.failed({ error: result.error, state: 'stored', details: `📥 Stored as \`${stored.id}\`` });
       
-      if (database.data_sources && database.data_sources.length > 0) {
-        const dataSourceId = database.data_sources[0].id;
-        console.log(`✅ Found data source ID: ${dataSourceId}`);
-        return dataSourceId;
-      } else {
-        console.error('❌ No data sources found in database');
-        return null;
-      }
+      return new Response(JSON.stringify({
+        status: 'stored',
+        id: stored.id,
+        message: `Event stored without processing: ${normalized.reason}`
+      }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    
+    // Without a queue, a retryable failure is answered 503 so the sender redelivers it
+    if (!result.success && result.retryable && !queue) {
+      await report.failed({ error: result.error, state: 'rejected', details: '⚠️ Not queued: RETRY_QUEUE is not bound; asking the sender to redeliver' });
+      return new Response(JSON.stringify({
+        status: 'error',
+        message: `${result.error} (no retry queue; redeliver later)`
+      }), {
+        status: 503,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    
+    // Persist retryable failures (Notion errors) so the meeting is not lost
+    let retryEntry = null;
+    if (!result.success && result.retryable) {
+      retryEntry = await queue.enqueue(sessionId || crypto.randomUUID(), webhookData, result.error, provider.slug);
+      console.log(`🔁 Queued for retry: ${retryEntry.id} (next attempt ${retryEntry.nextAttemptAt})`);
+    }
+    
+    // One Slack message per meeting; details go into its thread
+    if (result.success) {
+      await report.succeeded(result);
     } else {
-      const error = await response.text();
-      console.error('❌ Failed to get database info:', error);
-      return null;
+      await report.failed({
+        error: result.error,
+        state: retryEntry ? 'queued' : 'rejected',
+        details: retryEntry ? `🔁 Next attempt ${retryEntry.nextAttemptAt}` : null
+      });
+    }
+    
+    if (retryEntry) {
+      return new Response(JSON.stringify({
+        status: 'queued',
+        retryId: retryEntry.id,
+        message: 'Notion write failed; queued for retry'
+      }), {
+        status: 202,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+    
+    // Return a simple success response for Read.ai
+    if (result.success) {
+      return new Response(JSON.stringify({
+        status: 'success',
+        action: result.action,
+        message: `Webhook processed successfully (meeting ${result.action})`
+      }), {
+        status: 200,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    } else {
+      return new Response(JSON.stringify({
+        status: 'error',
+        message: result.error
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json', ...corsHeaders }
+      });
+    }
+  } catch (error) {
+    console.error('❌ Error parsing webhook data:', error);
+    
+    await reporter.alert(`❌ *${provider.name} webhook could not be processed:* ${error.message}`);
+    
+    return new Response(JSON.stringify({
+      success: false,
+      error: 'Invalid JSON payload',
+      timestamp: new Date().toISOString()
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json', ...corsHeaders }
+    });
+  }
+}
+
+
+/**
+ * Retry due entries from the retry queue (exponential backoff, dead-letter after MAX_ATTEMPTS)
+ */
+async function processRetryQueue(env) {
+  const queue = getRetryQueue(env);
+  if (!queue) return;
+  const due = await queue.due();
+  console.log(`🔁 Retry queue: ${due.length} entries due`);
+
+  const reporter = SlackReporter.fromEnv(env);
+
+  for (const entry of due) {
+    const normalized = normalizeEntry(entry);
+    const report = reporter.meeting(normalized.meeting, entry.id);
+    const result = await processWebhook(normalized, env, report);
+
+    if (result.success) {
+      await queue.resolve(entry.id);
+      await report.succeeded(result);
+      console.log(`✅ Retry succeeded for ${entry.id} (meeting ${result.action})`);
+      continue;
+    }
+
+    const { dead, entry: updated } = await queue.recordFailure(entry.id, result.error);
+    if (dead) {
+      console.error(`💀 Moved ${entry.id} to dead-letter after ${updated.attempts} attempts`);
+      await report.failed({
+        error: result.error,
+        state: 'dead',
+        details: `💀 Gave up after ${MAX_ATTEMPTS} attempts. Replay with \`POST /admin/replay/${entry.id}\``
+      });
+    } else if (updated) {
+      console.warn(`⚠️ Retry ${updated.attempts} failed for ${entry.id}; next attempt ${updated.nextAttemptAt}`);
+      await report.debug(`🔁 Retry ${updated.attempts} failed: ${result.error}`);
+    }
+  }
+}
+
+/**
+ * Normalize a queued payload with the adapter of the provider it came from
+ */
+function normalizeEntry(entry) {
+  const provider = getProvider(entry.provider || DEFAULT_PROVIDER);
+  if (!provider) {
+    return { ok: false, version: null, event: null, reason: `unknown provider "${entry.provider}"`, meeting: null };
+  }
+  return provider.normalize(entry.payload);
+}
+
+/**
+ * Bearer token check for the admin and stats endpoints
+ */
+function isAdminRequest(request, env) {
+  const token = (request.headers.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  return Boolean(env.ADMIN_TOKEN && token && timingSafeEqual(token, env.ADMIN_TOKEN));
+}
+
+/**
+ * GET /stats?days=7 — meeting analytics of the last `days` days (admin token)
+ */
+async function handleStatsRequest(request, url, env, corsHeaders) {
+  const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+
+  if (!isAdminRequest(request, env)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  const days = url.searchParams.has('days') ? Number.parseInt(url.searchParams.get('days'), 10) : DEFAULT_STATS_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+    return json({ success: false, error: `days must be between 1 and ${MAX_STATS_DAYS}` }, 400);
+  }
+
+  try {
+    return json(await loadMeetingStats(env, days));
+  } catch (error) {
+    console.error('❌ Error computing meeting stats:', error);
+    return json({ success: false, error: error.message }, 502);
+  }
+}
+
+/**
+ * Authenticated admin endpoints:
+ * - GET  /admin/failed      — pending retries and dead-letter entries
+ * - POST /admin/replay/:id  — process a queued payload now
+ */
+async function handleAdminRequest(request, url, env, corsHeaders) {
+  const json = (body, status = 200) => new Response(JSON.stringify(body, null, 2), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...corsHeaders }
+  });
+
+  if (!isAdminRequest(request, env)) {
+    return json({ success: false, error: 'Unauthorized' }, 401);
+  }
+
+  const queue = getRetryQueue(env);
+  if (!queue) {
+    return json({ success: false, error: 'Retry queue not configured (RETRY_QUEUE is not bound)' }, 503);
+  }
+  const summarize = entry => ({
+    id: entry.id,
+    provider: entry.provider || DEFAULT_PROVIDER,
+    title: normalizeEntry(entry).meeting?.title || null,
+    attempts: entry.attempts,
+    createdAt: entry.createdAt,
+    lastAttemptAt: entry.lastAttemptAt || null,
+    nextAttemptAt: entry.nextAttemptAt || null,
+    deadAt: entry.deadAt || null,
+    event: entry.event || null,
+    version: entry.version || null,
+    lastError: entry.lastError
+  });
+
+  if (url.pathname === '/admin/failed' && request.method === 'GET') {
+    const [pending, dead, unhandled] = await Promise.all([queue.listPending(), queue.listDead(), queue.listUnhandled()]);
+    return json({ pending: pending.map(summarize), dead: dead.map(summarize), unhandled: unhandled.map(summarize) });
+  }
+
+  const replayMatch = url.pathname.match(/^\/admin\/replay\/([^/]+)$/);
+  if (replayMatch && request.method === 'POST') {
+    const id = decodeURIComponent(replayMatch[1]);
+    const entry = await queue.find(id);
+    if (!entry) {
+      return json({ success: false, error: `No queued payload with id ${id}` }, 404);
     }
+
+    const normalized = normalizeEntry(entry);
+    const report = SlackReporter.fromEnv(env).meeting(normalized.meeting, normalized.meeting?.session_id || id);
+    const result = await processWebhook(normalized, env, report);
+    if (result.success) {
+      await queue.resolve(id);
+      await report.succeeded(result);
+      return json({ success: true, id, action: result.action, notionPageId: result.notionPageId });
+    }
+    return json({ success: false, id, error: result.error }, 502);
+  }
+
+  return json({ success: false, error: 'Endpoint not found' }, 404);
+}
+
+/**
+ * Verify the webhook signature and timestamp with the provider's HMAC settings.
+ * Set WEBHOOK_VERIFY_DISABLED=true to skip verification for local testing.
+ * @returns {Promise<{valid: boolean, reason?: string}>}
+ */
+async function verifyWebhookSignature(request, rawBody, env, provider) {
+  if (env.WEBHOOK_VERIFY_DISABLED === 'true') {
+    console.warn('⚠️ Webhook signature verification is DISABLED (WEBHOOK_VERIFY_DISABLED=true)');
+    return { valid: true };
+  }
+
+  const settings = provider.signature(env);
+  if (!settings.secret) {
+    return { valid: false, reason: `${settings.secretName} is not configured` };
+  }
+
+  const signatureHeader = settings.signatureHeader.toLowerCase();
+  const timestampHeader = settings.timestampHeader.toLowerCase();
+  const rawSignature = (request.headers.get(signatureHeader) || '').trim();
+  const signature = (rawSignature.startsWith(settings.prefix) ? rawSignature.slice(settings.prefix.length) : rawSignature).toLowerCase();
+  const timestamp = (request.headers.get(timestampHeader) || '').trim();
+
+  if (!signature || !timestamp) {
+    return { valid: false, reason: `Missing ${signatureHeader} or ${timestampHeader} header` };
+  }
+
+  // Reject stale (or far-future) timestamps so captured requests cannot be replayed
+  const tolerance = Number(env.WEBHOOK_TOLERANCE_SECONDS) || DEFAULT_SIGNATURE_TOLERANCE_SECONDS;
+  const timestampSeconds = Number(timestamp) > 1e12 ? Number(timestamp) / 1000 : Number(timestamp);
+  if (!Number.isFinite(timestampSeconds) || Math.abs(Date.now() / 1000 - timestampSeconds) > tolerance) {
+    return { valid: false, reason: `Stale or invalid timestamp (${timestamp})` };
+  }
+
+  const expected = await hmacSha256Hex(settings.secret, settings.message(timestamp, rawBody));
+  if (!timingSafeEqual(signature, expected)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Hex-encoded HMAC-SHA256 using Web Crypto
+ */
+async function hmacSha256Hex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Constant-time string comparison
+ */
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Get data source ID from database ID (required for 2025-09-03 API)
+ */
+async function getDataSourceId(databaseId, env) {
+  const dataSource = await getDataSource(databaseId, env);
+  return dataSource ? dataSource.id : null;
+}
+
+/**
+ * Data source of a database with its property schema (name → type), cached
+ * in NOTION_CACHE / memory (see notion-schema.js)
+ * @returns {Promise<{id: string, properties: Object<string, string>}|null>}
+ */
+async function getDataSource(databaseId, env) {
+  try {
+    return await getCachedDataSource(databaseId, env, id => loadDataSource(id, env.NOTION_TOKEN));
   } catch (error) {
-    console.error('❌ Error getting data source ID:', error);
+    console.error('❌ Error getting data source:', error);
+    return null;
+  }
+}
+
+async function loadDataSource(databaseId, NOTION_TOKEN) {
+  console.log(`🔍 Loading data source and schema for database: ${databaseId}`);
+  const headers = {
+    'Authorization': `Bearer ${NOTION_TOKEN}`,
+    'Notion-Version': NOTION_API_VERSION
+  };
+
+  const response = await notionFetch(`${NOTION_API_BASE}/databases/${databaseId}`, { headers });
+  if (!response.ok) {
+    console.error('❌ Failed to get database info:', await response.text());
+    return null;
+  }
+
+  const database = await response.json();
+  if (!database.data_sources || database.data_sources.length === 0) {
+    console.error('❌ No data sources found in database');
+    return null;
+  }
+
+  const dataSourceId = database.data_sources[0].id;
+  const schemaResponse = await notionFetch(`${NOTION_API_BASE}/data_sources/${dataSourceId}`, { headers });
+  if (!schemaResponse.ok) {
+    console.error('❌ Failed to get data source schema:', await schemaResponse.text());
     return null;
   }
+
+  const dataSource = await schemaResponse.json();
+  const properties = Object.fromEntries(
+    Object.entries(dataSource.properties || {}).map(([name, property]) => [name, property.type])
+  );
+  console.log(`✅ Found data source ${dataSourceId} with ${Object.keys(properties).length} properties`);
+  return { id: dataSourceId, properties };
+}
+
+/**
+ * Meeting property renames: MEETING_PROPERTIES var (JSON), otherwise the
+ * `meeting-properties` key of the WORKER_CONFIG KV namespace. Keys are the
+ * worker's property names; values are the database property name, or null
+ * to never write that property.
+ */
+async function loadMeetingPropertyRenames(env) {
+  try {
+    if (env.MEETING_PROPERTIES) {
+      return typeof env.MEETING_PROPERTIES === 'string' ? JSON.parse(env.MEETING_PROPERTIES) : env.MEETING_PROPERTIES;
+    }
+    if (env.WORKER_CONFIG) {
+      return (await env.WORKER_CONFIG.get(MEETING_PROPERTIES_KV_KEY, 'json')) || {};
+    }
+  } catch (error) {
+    console.error(`❌ Could not load meeting property renames: ${error.message}`);
+  }
+  return {};
 }
 
 //
@@ -186,96 +600,96 @@ async function getDataSourceId(databaseId, NOTION_TOKEN) {
 //
 
 /**
- * Process Read.ai webhook
+ * Process a normalized Read.ai webhook (see payload.js). Step details are
+ * reported to the meeting's Slack thread (debug verbosity); the caller
+ * reports the final outcome and stores unhandled events.
  */
-async function processWebhook(webhookData, NOTION_TOKEN, MEETING_DATABASE_ID, SLACK_BOT_TOKEN, SLACK_CHANNEL) {
+async function processWebhook(normalized, env, report = SlackReporter.fromEnv(env).meeting(normalized.meeting, normalized.meeting?.session_id)) {
   const startTime = Date.now();
+  const webhookData = normalized.meeting;
   
   try {
-    console.log('🔔 Processing Read.ai webhook in Cloudflare Worker');
-    console.log('📊 Webhook data:', JSON.stringify(webhookData, null, 2));
-
-    // Validate webhook data
-    const validationResult = validateWebhookData(webhookData);
-    
-    // Send meeting validation notification
-    await sendMeetingValidationNotification({
-      webhookData,
-      isValid: validationResult.isValid,
-      missingFields: validationResult.missingFields,
-      trigger: webhookData.trigger,
-      slackToken: SLACK_BOT_TOKEN,
-      slackChannel: SLACK_CHANNEL
-    });
+    console.log(`🔔 Processing Read.ai ${normalized.event || 'unknown'} event (${normalized.version} payload)`);
+    await report.debug(describePayload(normalized));
     
-    if (!validationResult.isValid) {
-      console.error('❌ Webhook validation failed');
+    if (!normalized.ok) {
+      console.error(`❌ Unprocessable webhook: ${normalized.reason}`);
       return {
         success: false,
-        error: `Invalid webhook data - missing required fields: ${validationResult.missingFields.join(', ')}`,
+        retryable: false,
+        unhandled: true,
+        error: `Unprocessable webhook: ${normalized.reason}`,
         timestamp: new Date().toISOString()
       };
     }
+    console.log('📊 Meeting:', JSON.stringify({ ...webhookData, transcript: webhookData.transcript ? '[transcript]' : null }, null, 2));
+
+    // Link participants and the client to their Notion pages
+    const directory = createPeopleDirectory(env);
+    const relations = await resolveMeetingRelations(webhookData, env, directory);
 
-    // Create meeting page in Notion
-    const result = await createMeetingPage(webhookData, NOTION_TOKEN, MEETING_DATABASE_ID);
-    const duration = Date.now() - startTime;
+    // Decide the meeting type from the classification rules
+    const classification = await classifyMeetingData(webhookData, env, relations);
+
+    // Create or update the meeting page in Notion (keyed on session ID). New
+    // pages are marked as waiting for their project summary before the body is
+    // written, so a retry after a failed body write still posts it
+    const result = await upsertMeetingPage(webhookData, env, relations, classification,
+      pageId => report.reporter.markSummaryPending(webhookData.session_id, pageId));
     
     if (result) {
-      console.log('✅ Meeting notes created successfully!');
+      console.log(`✅ Meeting notes ${result.action} successfully!`);
+      if (result.schemaWarnings.length > 0) {
+        await report.debug(`⚠️ Properties adjusted to the database schema:\n${result.schemaWarnings.map(w => `• ${w}`).join('\n')}`);
+      }
+      await report.debug(`📝 Page ${result.action} as ${classification.category} (rule: ${classification.rule || 'default'}), ${relations.memberIds.length} members${relations.clientId ? ', client linked' : ''}`);
       
-      // Send Notion creation success notification
-      await sendNotionCreationNotification({
-        success: true,
-        notionPageId: result.id,
-        webhookData,
-        duration,
-        slackToken: SLACK_BOT_TOKEN,
-        slackChannel: SLACK_CHANNEL
-      });
+      // Action items → Tasks database (non-fatal: the meeting page is already written)
+      const tasks = env.TASKS_DATABASE_ID
+        ? await syncActionItemsToTasks(webhookData, result.page.id, env, directory)
+        : null;
+      if (tasks) {
+        await report.debug(`🗂️ Tasks: ${tasks.created} created, ${tasks.skipped} already present, ${tasks.failed} failed`);
+      }
+      
+      // Summary for the project team, once per meeting (on creation without SLACK_STATE)
+      const summaryPending = await report.reporter.isSummaryPending(webhookData.session_id);
+      const projectChannel = (summaryPending ?? result.action === 'created')
+        ? await postProjectSummary(webhookData, result.page.id, relations, report.reporter, env)
+        : null;
+      if (projectChannel) {
+        await report.debug(`📣 Summary posted to ${projectChannel}`);
+      }
       
       return {
         success: true,
-        notionPageId: result.id,
-        message: 'Meeting notes created successfully',
+        action: result.action,
+        notionPageId: result.page.id,
+        type: classification.category,
+        tasks,
+        projectChannel,
+        duration: Date.now() - startTime,
+        message: `Meeting notes ${result.action} successfully`,
         timestamp: new Date().toISOString()
       };
     } else {
-      console.error('❌ Failed to create meeting page in Notion');
-      
-      // Send Notion creation failure notification
-      await sendNotionCreationNotification({
-        success: false,
-        webhookData,
-        error: new Error('Failed to create meeting page in Notion'),
-        duration,
-        slackToken: SLACK_BOT_TOKEN,
-        slackChannel: SLACK_CHANNEL
-      });
+      console.error('❌ Failed to create or update meeting page in Notion');
       
       return {
         success: false,
-        error: 'Failed to create meeting page in Notion',
+        retryable: true,
+        error: 'Failed to create or update meeting page in Notion',
         timestamp: new Date().toISOString()
       };
     }
 
   } catch (error) {
-    const duration = Date.now() - startTime;
     console.error('❌ Error processing webhook:', error);
-    
-    // Send Notion creation failure notification
-    await sendNotionCreationNotification({
-      success: false,
-      webhookData,
-      error,
-      duration,
-      slackToken: SLACK_BOT_TOKEN,
-      slackChannel: SLACK_CHANNEL
-    });
+    await report.debug(`🔍 \`\`\`${error.stack || error.message}\`\`\``);
     
     return {
       success: false,
+      retryable: true,
       error: error.message,
       timestamp: new Date().toISOString()
     };
@@ -283,110 +697,55 @@ async function processWebhook(webhookData, NOTION_TOKEN, MEETING_DATABASE_ID, SL
 }
 
 /**
- * Validate webhook data
+ * Payload summary for the meeting's Slack thread
  */
-function validateWebhookData(data) {
-  console.log('🔍 Validating webhook data:', JSON.stringify(data, null, 2));
-  
-  const missingFields = [];
-  
-  // Check if data exists
-  if (!data || typeof data !== 'object') {
-    console.error('❌ Invalid webhook data: not an object');
-    return {
-      isValid: false,
-      missingFields: ['data (not an object)']
-    };
-  }
-
-  // Check for required fields (more flexible)
-  const hasSessionId = data.session_id || data.sessionId || data.id;
-  const hasTrigger = data.trigger || data.event;
-  const hasTitle = data.title || data.meeting_title || data.name;
-
-  if (!hasSessionId) {
-    console.error('❌ Missing session ID field');
-    missingFields.push('session_id');
-  }
-
-  if (!hasTrigger) {
-    console.error('❌ Missing trigger field');
-    missingFields.push('trigger');
-  }
-
-  if (!hasTitle) {
-    console.error('❌ Missing title field');
-    missingFields.push('title');
-  }
-
-  // Check trigger value (more flexible)
-  if (hasTrigger) {
-    const trigger = hasTrigger.toLowerCase();
-    if (trigger !== 'meeting_end' && trigger !== 'meeting_end' && trigger !== 'end') {
-      console.error(`❌ Invalid trigger: ${hasTrigger}. Expected: meeting_end`);
-      missingFields.push('trigger (must be meeting_end)');
-    }
+function describePayload({ ok, version, event, reason, meeting }) {
+  const present = (label, value) => `${value ? '✅' : '❌'} ${label}`;
+
+  let message = ok ? `✅ ${version} payload, \`${event}\` event` : `❌ ${version || 'Unknown'} payload: ${reason}`;
+  if (meeting) {
+    message += `\n${[
+      present('participants', meeting.participants.length > 0),
+      present('summary', meeting.summary),
+      present('transcript', buildTranscriptBlocks(meeting).length > 0)
+    ].join(' · ')}`;
   }
+  return message;
+}
 
-  const isValid = missingFields.length === 0;
-  
-  if (isValid) {
-    console.log('✅ Webhook data validation passed');
-  } else {
-    console.log(`❌ Webhook data validation failed. Missing: ${missingFields.join(', ')}`);
-  }
-  
-  return {
-    isValid,
-    missingFields
-  };
+/**
+ * Multi-select options from names (Notion rejects commas and duplicates)
+ */
+function multiSelectOptions(names) {
+  const unique = [...new Set(names.map(name => String(name || '').replace(/,/g, ' ').trim().substring(0, 100)).filter(Boolean))];
+  return unique.map(name => ({ name }));
 }
 
 /**
- * Create meeting page in Notion (updated for 2025-09-03 API)
+ * Create or update the meeting page in Notion (updated for 2025-09-03 API).
+ * Pages are keyed on the "Session ID" property, so a redelivered or replayed
+ * webhook updates the existing page instead of creating a duplicate.
+ * @param {{memberIds?: string[], clientId?: string|null}} [relations] - Member and client pages to link
+ * @param {{category: string, rule: string|null}} [classification] - Meeting type and the rule that chose it
+ * Properties are checked against the cached database schema first: renamed
+ * or mistyped properties are remapped or dropped with a warning.
+ * @param {(pageId: string) => Promise<any>} [onCreated] - Called after a new page is created, before its body is written
+ * @returns {Promise<{page: Object, action: 'created'|'updated', schemaWarnings: string[]}|null>}
  */
-async function createMeetingPage(meetingData, NOTION_TOKEN, MEETING_DATABASE_ID) {
+async function upsertMeetingPage(meetingData, env, relations = {}, classification = null, onCreated = async () => {}) {
+  const { NOTION_TOKEN, MEETING_DATABASE_ID } = env;
   try {
-    console.log(`📝 Creating meeting page for: ${meetingData.title}`);
+    const sessionId = meetingData.session_id;
+    console.log(`📝 Upserting meeting page for: ${meetingData.title} (session ${sessionId})`);
     
     // Get data source ID first (required for 2025-09-03 API)
-    const dataSourceId = await getDataSourceId(MEETING_DATABASE_ID, NOTION_TOKEN);
-    if (!dataSourceId) {
+    const dataSource = await getDataSource(MEETING_DATABASE_ID, env);
+    if (!dataSource) {
       console.error('❌ Could not get data source ID for database');
       return null;
     }
+    const dataSourceId = dataSource.id;
     
-    // Format arrays as text (handle Read.ai object format)
-    const participantsText = Array.isArray(meetingData.participants) 
-      ? meetingData.participants.map(p => p.name || p).join(', ') 
-      : meetingData.participants || meetingData.attendees || '';
-
-    const actionItemsText = Array.isArray(meetingData.action_items) 
-      ? meetingData.action_items.map(item => item.text || item).join('\n• ') 
-      : meetingData.action_items || meetingData.actions || '';
-
-    const keyQuestionsText = Array.isArray(meetingData.key_questions) 
-      ? meetingData.key_questions.map(q => q.text || q).join('\n• ') 
-      : meetingData.key_questions || meetingData.questions || '';
-
-    const topicsText = Array.isArray(meetingData.topics) 
-      ? meetingData.topics.map(t => t.text || t).join(', ') 
-      : meetingData.topics || meetingData.subjects || '';
-
-    // Handle owner object
-    const ownerText = meetingData.owner ? 
-      (meetingData.owner.name || meetingData.owner) : 
-      '';
-
-    // Handle transcript
-    const transcriptText = meetingData.transcript ? 
-      (meetingData.transcript.speaker_blocks ? 
-        meetingData.transcript.speaker_blocks.map(block => 
-          `${block.speaker.name}: ${block.words}`
-        ).join('\n') : 
-        meetingData.transcript) : 
-      '';
-
     // Extract date only from start_time
     const meetingDate = meetingData.start_time ? 
       meetingData.start_time.split('T')[0] : 
@@ -406,6 +765,15 @@ async function createMeetingPage(meetingData, NOTION_TOKEN, MEETING_DATABASE_ID)
               }
             }
           ]
+        },
+        'Session ID': {
+          rich_text: [
+            {
+              text: {
+                content: String(sessionId)
+              }
+            }
+          ]
         }
       }
     };
@@ -419,11 +787,17 @@ async function createMeetingPage(meetingData, NOTION_TOKEN, MEETING_DATABASE_ID)
       };
     }
 
-    if (participantsText) {
-      // Split participants into array for multi_select
-      const participantsArray = participantsText.split(', ').map(p => ({ name: p.trim() }));
+    const minutes = getMeetingMinutes(meetingData);
+    if (minutes !== null) {
+      pageData.properties[MEETING_DURATION_PROPERTY] = {
+        number: minutes
+      };
+    }
+
+    const participantOptions = multiSelectOptions(meetingData.participants.map(p => p.name));
+    if (participantOptions.length > 0) {
       pageData.properties['Participants'] = {
-        multi_select: participantsArray
+        multi_select: participantOptions
       };
     }
 
@@ -445,473 +819,1385 @@ async function createMeetingPage(meetingData, NOTION_TOKEN, MEETING_DATABASE_ID)
       };
     }
 
-    if (topicsText) {
-      // Split topics into array for multi_select
-      const topicsArray = topicsText.split(', ').map(t => ({ name: t.trim() }));
+    const topicOptions = multiSelectOptions(meetingData.topics.map(t => t.text));
+    if (topicOptions.length > 0) {
       pageData.properties['Topics'] = {
-        multi_select: topicsArray
+        multi_select: topicOptions
       };
     }
 
-    // Add Type field detection (Project or Exec) - case insensitive
-    if (meetingData.title) {
-      const lowerTitle = meetingData.title.toLowerCase();
-      // Check for (project) or (projects) in brackets
-      const hasBracketProject = lowerTitle.includes('(project)') || lowerTitle.includes('(projects)');
-      // Check for whole-word "project" or "projects" anywhere in title
-      const hasWholeWordProject = /\bproject\b/i.test(meetingData.title) || /\bprojects\b/i.test(meetingData.title);
-      
-      if (hasBracketProject || hasWholeWordProject) {
-        pageData.properties['Type'] = {
-          select: { name: 'Project' }
-        };
-      } else {
-        // Default to Exec for all other meetings
-        pageData.properties['Type'] = {
-          select: { name: 'Exec' }
-        };
-      }
-    } else {
-      // Default to Exec if no title
+    // Meeting type and the classification rule that decided it
+    if (classification) {
       pageData.properties['Type'] = {
-        select: { name: 'Exec' }
+        select: { name: classification.category }
+      };
+      pageData.properties[CLASSIFICATION_RULE_PROPERTY] = {
+        rich_text: [
+          {
+            text: {
+              content: classification.rule || 'default'
+            }
+          }
+        ]
+      };
+    }
+
+    // Relations are only written when resolved, so links added by hand are kept
+    if (relations.memberIds && relations.memberIds.length > 0) {
+      pageData.properties[MEETING_RELATION_PROPERTIES.members] = {
+        relation: relations.memberIds.map(id => ({ id }))
       };
     }
 
+    if (relations.clientId) {
+      pageData.properties[MEETING_RELATION_PROPERTIES.client] = {
+        relation: [{ id: relations.clientId }]
+      };
+    }
 
+    // Only write properties the database has, with the types it expects
+    const fitted = fitPropertiesToSchema(pageData.properties, dataSource.properties, await loadMeetingPropertyRenames(env));
+    fitted.warnings.forEach(warning => console.warn(`⚠️ Meeting property ${warning}`));
+    pageData.properties = fitted.properties;
+    
+    const sessionProperty = fitted.names['Session ID'];
+    if (!sessionProperty) {
+      console.warn('⚠️ The meeting database has no "Session ID" text property; redeliveries will create duplicate pages');
+    }
+    const existingPageId = sessionProperty
+      ? await findMeetingPageBySessionId(dataSourceId, sessionId, NOTION_TOKEN, sessionProperty)
+      : null;
+    
+    // A recap update merges into the existing page: keep its date when the
+    // update doesn't carry a start time
+    const isRecapMerge = Boolean(existingPageId) && meetingData.event === 'recap_update';
+    if (isRecapMerge && !meetingData.start_time) {
+      delete pageData.properties[fitted.names['Date']];
+    }
+    
     console.log('📊 Page data being sent to Notion:', JSON.stringify(pageData, null, 2));
 
-    // Always create new pages - never update existing entries
-    const response = await fetch(`${NOTION_API_BASE}/pages`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${NOTION_TOKEN}`,
-        'Content-Type': 'application/json',
-        'Notion-Version': NOTION_API_VERSION
-      },
-      body: JSON.stringify(pageData)
-    });
+    // Update the existing page for this session, otherwise create a new one
+    const action = existingPageId ? 'updated' : 'created';
+    const response = existingPageId
+      ? await notionFetch(`${NOTION_API_BASE}/pages/${existingPageId}`, {
+          method: 'PATCH',
+          headers: {
+            'Authorization': `Bearer ${NOTION_TOKEN}`,
+            'Content-Type': 'application/json',
+            'Notion-Version': NOTION_API_VERSION
+          },
+          body: JSON.stringify({ properties: pageData.properties })
+        })
+      : await notionFetch(`${NOTION_API_BASE}/pages`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${NOTION_TOKEN}`,
+            'Content-Type': 'application/json',
+            'Notion-Version': NOTION_API_VERSION
+          },
+          body: JSON.stringify(pageData)
+        });
 
     if (response.ok) {
       const result = await response.json();
-      console.log('✅ Meeting page created successfully!');
+      console.log(`✅ Meeting page ${action} successfully!`);
       console.log('🆔 Page ID:', result.id);
+      if (!existingPageId) {
+        await onCreated(result.id);
+      }
       
-      // Add transcript as page content
-      if (transcriptText) {
-        await addTranscriptToPage(result.id, transcriptText, NOTION_TOKEN);
+      // Recap updates replace only the sections they carry; otherwise the
+      // page body is rebuilt (replaced in place on redelivery)
+      let bodyWritten;
+      if (isRecapMerge) {
+        bodyWritten = await mergeMeetingBody(result.id, meetingData, NOTION_TOKEN);
+      } else {
+        if (existingPageId) {
+          await clearPageContent(result.id, NOTION_TOKEN);
+        }
+        bodyWritten = await writeMeetingBody(result.id, meetingData, NOTION_TOKEN);
+      }
+      if (!bodyWritten) {
+        // The retry finds this page by session ID and rebuilds the body
+        console.error('❌ Page body could not be written; treating the write as failed');
+        return null;
       }
       
-      return result;
+      return { page: result, action, schemaWarnings: fitted.warnings };
     } else {
       const error = await response.text();
-      console.error('❌ Failed to create meeting page:', error);
+      if (response.status === 400) {
+        // The database may have changed since the schema was cached
+        await invalidateDataSource(MEETING_DATABASE_ID, env);
+      }
+      console.error(`❌ Failed to ${existingPageId ? 'update' : 'create'} meeting page:`, error);
       console.error('❌ Response status:', response.status);
       console.error('❌ Response headers:', Object.fromEntries(response.headers.entries()));
       return null;
     }
   } catch (error) {
-    console.error('❌ Error creating meeting page:', error);
+    console.error('❌ Error upserting meeting page:', error);
     return null;
   }
 }
 
 /**
- * Add transcript to page
+ * Resolve the meeting's Notion relations: participants → member database
+ * pages (by email) and the client → client database page. Lookup failures are
+ * logged and leave the relations empty rather than failing the meeting write.
+ * @returns {Promise<{memberIds: string[], clientId: string|null, clientName: string|null}>}
  */
-async function addTranscriptToPage(pageId, transcript, NOTION_TOKEN) {
+async function resolveMeetingRelations(meetingData, env, directory) {
+  const relations = { memberIds: [], clientId: null, clientName: null };
+  const emails = getParticipantEmails(meetingData);
+
   try {
-    console.log('📄 Adding transcript to page...');
-    
-    // Split transcript into chunks
-    const maxChunkSize = 2000;
-    const transcriptChunks = chunkText(transcript, maxChunkSize);
-    
-    const blocks = transcriptChunks.map(chunk => ({
-      object: 'block',
-      type: 'paragraph',
-      paragraph: {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: chunk
-            }
-          }
-        ]
+    if (env.MEMBER_DATABASE_ID) {
+      for (const email of emails) {
+        const page = await directory.findMemberPage(email);
+        if (page && !relations.memberIds.includes(page.id)) relations.memberIds.push(page.id);
       }
-    }));
+      console.log(`👥 Matched ${relations.memberIds.length} of ${emails.length} participant emails to members`);
+    }
+  } catch (error) {
+    console.error('❌ Error resolving member relations:', error);
+  }
 
-    // Add header
-    const headerBlock = {
-      object: 'block',
-      type: 'heading_2',
-      heading_2: {
-        rich_text: [
-          {
-            type: 'text',
-            text: {
-              content: 'Meeting Transcript'
-            }
-          }
-        ]
+  try {
+    if (env.CLIENT_DATABASE_ID) {
+      const clients = await loadClients(env);
+      const client = findClientForMeeting(meetingData, emails, clients, getInternalEmailDomains(env));
+      if (client) {
+        relations.clientId = client.id;
+        relations.clientName = client.name;
+        console.log(`🏢 Matched client "${client.name}" (by ${client.matchedBy})`);
       }
-    };
+    }
+  } catch (error) {
+    console.error('❌ Error resolving client relation:', error);
+  }
 
-    const allBlocks = [headerBlock, ...blocks];
+  return relations;
+}
 
-    const response = await fetch(`${NOTION_API_BASE}/blocks/${pageId}/children`, {
-      method: 'PATCH',
+/**
+ * Classify the meeting with the configured rules (see classification.js)
+ * @returns {Promise<{category: string, rule: string|null}>}
+ */
+async function classifyMeetingData(meetingData, env, relations = {}) {
+  const { config, source } = await loadClassificationRules(env);
+  const internalDomains = getInternalEmailDomains(env);
+  const participantDomains = [...new Set(getParticipantEmails(meetingData).map(email => email.split('@')[1]).filter(Boolean))];
+
+  const owner = meetingData.owner && typeof meetingData.owner === 'object'
+    ? [meetingData.owner.email, meetingData.owner.name]
+    : [meetingData.owner];
+  const calendarEvent = meetingData.calendar_event || {};
+
+  const classification = classifyMeeting({
+    title: meetingData.title || '',
+    calendarText: [calendarEvent.title, calendarEvent.description, meetingData.description, meetingData.agenda]
+      .filter(text => typeof text === 'string')
+      .join('\n'),
+    participantDomains,
+    hasExternalParticipants: participantDomains.some(domain => !internalDomains.some(internal => domainMatches(domain, internal))),
+    owner: owner.filter(Boolean).map(value => String(value).trim().toLowerCase()),
+    hasClient: Boolean(relations.clientId)
+  }, config);
+
+  console.log(`🏷️ Classified as ${classification.category} (rule: ${classification.rule || 'default'}, rules from ${source})`);
+  return classification;
+}
+
+/**
+ * Post the meeting summary to the project's Slack channel. The channel is the
+ * client name slugified the way slack-usergroups-sync.js builds project
+ * usergroup handles ("Acme & Co" → #acme-and-co), unless the override table
+ * maps the client, or a word in the meeting title, to another channel.
+ * Posted once per meeting: the pending mark set on page creation is cleared
+ * when the summary is posted or no channel applies, so redeliveries don't
+ * repeat it and a failed first attempt doesn't skip it.
+ */
+async function postProjectSummary(meetingData, pageId, relations, reporter, env) {
+  try {
+    const overrides = await loadProjectChannelOverrides(env);
+    const channel = resolveProjectChannel(meetingData.title, relations.clientName, overrides, env);
+    if (!channel) {
+      console.log('⏭️ No project channel for this meeting');
+      await reporter.clearSummaryPending(meetingData.session_id);
+      return null;
+    }
+
+    const posted = await reporter.post(buildMeetingSummaryMessage(meetingData, pageId), { channel });
+    console.log(posted ? `📣 Summary posted to ${channel}` : `⚠️ Could not post summary to ${channel}`);
+    if (posted) {
+      await reporter.clearSummaryPending(meetingData.session_id);
+    }
+    return posted ? channel : null;
+  } catch (error) {
+    console.error('❌ Error posting project summary:', error);
+    return null;
+  }
+}
+
+/**
+ * Project channel overrides: PROJECT_CHANNELS var (JSON), otherwise the
+ * `project-channels` key of the WORKER_CONFIG KV namespace.
+ * Keys are client or project names; values are a channel name or ID, or
+ * null to never post for that name.
+ */
+async function loadProjectChannelOverrides(env) {
+  try {
+    if (env.PROJECT_CHANNELS) {
+      return typeof env.PROJECT_CHANNELS === 'string' ? JSON.parse(env.PROJECT_CHANNELS) : env.PROJECT_CHANNELS;
+    }
+    if (env.WORKER_CONFIG) {
+      return (await env.WORKER_CONFIG.get(PROJECT_CHANNELS_KV_KEY, 'json')) || {};
+    }
+  } catch (error) {
+    console.error(`❌ Could not load project channel overrides: ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Channel for a meeting: an override for the client or a project named in
+ * the title, otherwise the slugified client name
+ * @returns {string|null} Channel ID or "#name"
+ */
+function resolveProjectChannel(title, clientName, overrides, env) {
+  const entries = Object.entries(overrides || {});
+  const find = name => entries.find(([key]) => slugify(key) === slugify(name));
+  const toChannel = value => {
+    if (!value) return null;
+    const channel = String(value).trim();
+    return /^[CG][A-Z0-9]{8,}$/.test(channel) || channel.startsWith('#') ? channel : `#${channel}`;
+  };
+
+  if (clientName) {
+    const override = find(clientName);
+    if (override) return toChannel(override[1]);
+  }
+
+  const lowerTitle = String(title || '').toLowerCase();
+  const titleOverride = entries.find(([key]) => {
+    const escaped = key.trim().toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return escaped && new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(lowerTitle);
+  });
+  if (titleOverride) return toChannel(titleOverride[1]);
+
+  if (clientName) {
+    const slug = ((env.PROJECT_CHANNEL_PREFIX || '') + slugify(clientName)).replace(/--+/g, '-').replace(/^-+/, '');
+    return slug ? `#${slug}` : null;
+  }
+
+  return null;
+}
+
+/**
+ * Same convention as SlackUsergroupsSync.slugify (scripts/slack-usergroups-sync.js)
+ */
+function slugify(str) {
+  return String(str).trim().toLowerCase()
+    .replace(/&/g, 'and')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 80);
+}
+
+/**
+ * Slack message with the meeting title, participants, summary, action items and Notion link
+ */
+function buildMeetingSummaryMessage(meetingData, pageId) {
+  const url = notionPageUrl(pageId);
+  const title = String(meetingData.title || 'Untitled meeting').replace(/[<>|]/g, '').replace(/&/g, '&amp;');
+  const lines = [`📝 *<${url}|${title}>*`];
+
+  const participants = (Array.isArray(meetingData.participants) ? meetingData.participants : [])
+    .map(p => (p && typeof p === 'object' ? p.name || p.email : p))
+    .filter(Boolean);
+  if (participants.length > 0) {
+    lines.push(`👥 ${participants.join(', ')}`);
+  }
+
+  if (meetingData.summary && meetingData.summary.trim()) {
+    const summary = meetingData.summary.trim();
+    lines.push('', summary.length > SUMMARY_MAX_LENGTH ? `${summary.slice(0, SUMMARY_MAX_LENGTH)}…` : summary);
+  }
+
+  const actionItems = (Array.isArray(meetingData.action_items) ? meetingData.action_items : [])
+    .filter(item => itemText(item));
+  if (actionItems.length > 0) {
+    lines.push('', '*Action items*');
+    actionItems.forEach(item => {
+      const assignee = getActionItemAssignee(item);
+      lines.push(`• ${itemText(item)}${assignee ? ` — _${assignee}_` : ''}`);
+    });
+  }
+
+  lines.push('', `🔗 <${url}|Open in Notion>`);
+  return lines.join('\n');
+}
+
+/**
+ * Lowercased, de-duplicated emails of the meeting participants and owner
+ */
+function getParticipantEmails(meetingData) {
+  const people = [
+    ...(Array.isArray(meetingData.participants) ? meetingData.participants : []),
+    meetingData.owner
+  ];
+  const emails = people
+    .filter(person => person && typeof person === 'object' && person.email)
+    .map(person => String(person.email).trim().toLowerCase());
+  return [...new Set(emails)];
+}
+
+/**
+ * Email domains of our own members, ignored when matching clients by domain
+ */
+function getInternalEmailDomains(env) {
+  return (env.INTERNAL_EMAIL_DOMAINS || DEFAULT_INTERNAL_EMAIL_DOMAINS)
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * All client database pages as { id, name, domain }
+ */
+async function loadClients(env) {
+  const dataSourceId = await getDataSourceId(env.CLIENT_DATABASE_ID, env);
+  if (!dataSourceId) {
+    throw new Error('Could not get data source ID for client database');
+  }
+
+  const clients = [];
+  let cursor;
+  do {
+    const response = await notionFetch(`${NOTION_API_BASE}/data_sources/${dataSourceId}/query`, {
+      method: 'POST',
       headers: {
-        'Authorization': `Bearer ${NOTION_TOKEN}`,
+        'Authorization': `Bearer ${env.NOTION_TOKEN}`,
         'Content-Type': 'application/json',
         'Notion-Version': NOTION_API_VERSION
       },
-      body: JSON.stringify({
-        children: allBlocks
-      })
+      body: JSON.stringify({ start_cursor: cursor, page_size: 100 })
     });
 
-    if (response.ok) {
-      console.log('✅ Transcript added successfully!');
-      return true;
-    } else {
-      const error = await response.text();
-      console.error('❌ Failed to add transcript:', error);
-      return false;
+    if (!response.ok) {
+      throw new Error(`Failed to query client database: ${await response.text()}`);
     }
-  } catch (error) {
-    console.error('❌ Error adding transcript:', error);
-    return false;
-  }
+
+    const result = await response.json();
+    result.results.forEach(page => {
+      const properties = page.properties || {};
+      const title = Object.values(properties).find(prop => prop.type === 'title');
+      const name = (title?.title || []).map(t => t.plain_text || t.text?.content || '').join('').trim();
+      const website = properties[CLIENT_WEBSITE_PROPERTY];
+      const websiteText = website?.type === 'url'
+        ? website.url
+        : (website?.rich_text || []).map(t => t.plain_text || t.text?.content || '').join('');
+      if (name) clients.push({ id: page.id, name, domain: getWebsiteDomain(websiteText) });
+    });
+    cursor = result.has_more ? result.next_cursor : undefined;
+  } while (cursor);
+
+  console.log(`🏢 Loaded ${clients.length} clients`);
+  return clients;
 }
 
 /**
- * Split text into chunks
+ * Hostname of a website without "www." ("https://www.acme.com/about" → "acme.com")
  */
-function chunkText(text, maxSize) {
-  if (text.length <= maxSize) {
-    return [text];
+function getWebsiteDomain(website) {
+  const value = String(website || '').trim().toLowerCase();
+  if (!value) return null;
+  try {
+    const url = new URL(value.includes('://') ? value : `https://${value}`);
+    return url.hostname.replace(/^www\./, '') || null;
+  } catch {
+    return null;
   }
+}
 
-  const chunks = [];
-  let start = 0;
-  
-  while (start < text.length) {
-    let end = start + maxSize;
-    
-    if (end < text.length) {
-      const lastSentence = text.lastIndexOf('.', end);
-      const lastWord = text.lastIndexOf(' ', end);
-      
-      if (lastSentence > start + maxSize * 0.5) {
-        end = lastSentence + 1;
-      } else if (lastWord > start + maxSize * 0.5) {
-        end = lastWord;
-      }
-    }
-    
-    chunks.push(text.slice(start, end).trim());
-    start = end;
+/**
+ * Client a meeting is with: the longest client name appearing as whole words
+ * in the meeting title, otherwise the client whose website domain matches an
+ * external participant's email domain (subdomains included)
+ * @returns {{id: string, name: string, matchedBy: 'title'|'email domain'}|null}
+ */
+function findClientForMeeting(meetingData, emails, clients, internalDomains) {
+  const title = String(meetingData.title || '').toLowerCase();
+  const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  const byTitle = clients
+    .filter(client => title && new RegExp(`(^|\\W)${escape(client.name.toLowerCase())}(\\W|$)`).test(title))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+  if (byTitle) return { id: byTitle.id, name: byTitle.name, matchedBy: 'title' };
+
+  const externalDomains = emails
+    .map(email => email.split('@')[1])
+    .filter(domain => domain && !internalDomains.some(internal => domainMatches(domain, internal)));
+
+  for (const domain of externalDomains) {
+    const client = clients.find(c => c.domain && domainMatches(domain, c.domain));
+    if (client) return { id: client.id, name: client.name, matchedBy: 'email domain' };
   }
-  
-  return chunks;
-}
 
-//
+  return null;
+}
 
 /**
- * Send Slack notification for webhook processing
+ * Create a Tasks database row for each Read.ai action item, linked to the
+ * meeting page. Redelivered meetings only add tasks that don't exist yet, so
+ * changes made in Notion (status, assignee, due date) are kept.
+ * @returns {Promise<{created: number, skipped: number, failed: number}>}
  */
-async function sendSlackNotification({ status, webhookType, data, error, slackToken, slackChannel }) {
-  if (!slackToken || !slackChannel) {
-    console.log('⚠️ Slack notifications disabled - missing SLACK_BOT_TOKEN or SLACK_CHANNEL');
-    return;
+async function syncActionItemsToTasks(meetingData, meetingPageId, env, directory = createPeopleDirectory(env)) {
+  const summary = { created: 0, skipped: 0, failed: 0 };
+  const items = (Array.isArray(meetingData.action_items) ? meetingData.action_items : [])
+    .map(item => ({ item, text: itemText(item) }))
+    .filter(entry => entry.text);
+
+  if (items.length === 0) {
+    return summary;
   }
 
   try {
-    const isSuccess = status === 'success';
-    const emoji = isSuccess ? '✅' : '❌';
-    const statusText = isSuccess ? 'Processed Successfully' : 'Failed';
+    console.log(`🗂️ Syncing ${items.length} action items to the tasks database...`);
 
-    let message = `${emoji} *${webhookType} Webhook ${statusText}*\n\n`;
-    
-    if (data) {
-      message += `📊 *Data:*\n`;
-      if (data.session_id) message += `• Session ID: ${data.session_id}\n`;
-      if (data.title) message += `• Title: ${data.title}\n`;
-      if (data.participants) message += `• Participants: ${Array.isArray(data.participants) ? data.participants.join(', ') : data.participants}\n`;
+    const dataSource = await getDataSource(env.TASKS_DATABASE_ID, env);
+    if (!dataSource) {
+      throw new Error('Could not get data source ID for tasks database');
     }
-
-    if (error) {
-      message += `\n🚨 *Error:* ${error.message}\n`;
+    const dataSourceId = dataSource.id;
+    const schemaWarnings = new Set();
+
+    // Tasks are deduplicated through the meeting relation, under the name the
+    // database uses for it (the same name fitPropertiesToSchema writes to)
+    const hasSchema = Object.keys(dataSource.properties || {}).length > 0;
+    const meetingProperty = hasSchema
+      ? schemaPropertyName(TASK_PROPERTIES.meeting, dataSource.properties, {}, 'relation')
+      : TASK_PROPERTIES.meeting;
+    if (!meetingProperty || (hasSchema && dataSource.properties[meetingProperty] !== 'relation')) {
+      console.warn(`⚠️ The tasks database has no "${TASK_PROPERTIES.meeting}" relation; action items are not synced (they could not be deduplicated)`);
+      summary.failed = items.length;
+      return summary;
     }
 
-    message += `\n⏰ *Time:* ${new Date().toLocaleString()}`;
+    const existingTitles = await getTaskTitlesForMeeting(dataSourceId, meetingPageId, env.NOTION_TOKEN, meetingProperty);
 
-    const payload = {
-      channel: slackChannel,
-      text: message,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: message
-          }
-        }
-      ]
-    };
+    for (const { item, text } of items) {
+      if (existingTitles.has(text.toLowerCase())) {
+        summary.skipped++;
+        continue;
+      }
 
-    // Add error details if failed
-    if (error && error.stack) {
-      payload.blocks.push({
-        type: 'section',
-        text: {
-          type: 'mrkdwn',
-          text: `*Error Details:*\n\`\`\`\n${error.stack}\n\`\`\``
-        }
+      const properties = {
+        [TASK_PROPERTIES.title]: { title: richText(text) },
+        [TASK_PROPERTIES.meeting]: { relation: [{ id: meetingPageId }] }
+      };
+
+      const dueDate = extractDueDate(item, text, meetingData.start_time);
+      if (dueDate) {
+        properties[TASK_PROPERTIES.dueDate] = { date: { start: dueDate } };
+      }
+
+      const assigneeEmail = getActionItemAssigneeEmail(item, meetingData.participants);
+      const assigneeId = assigneeEmail ? await directory.resolveUserId(assigneeEmail) : null;
+      if (assigneeId) {
+        properties[TASK_PROPERTIES.assignee] = { people: [{ id: assigneeId }] };
+      } else if (assigneeEmail) {
+        console.warn(`⚠️ No Notion user found for assignee ${assigneeEmail}`);
+      }
+
+      const fitted = fitPropertiesToSchema(properties, dataSource.properties);
+      fitted.warnings.forEach(warning => schemaWarnings.add(warning));
+
+      const response = await notionFetch(`${NOTION_API_BASE}/pages`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.NOTION_TOKEN}`,
+          'Content-Type': 'application/json',
+          'Notion-Version': NOTION_API_VERSION
+        },
+        body: JSON.stringify({
+          parent: { type: 'data_source_id', data_source_id: dataSourceId },
+          properties: fitted.properties
+        })
       });
+
+      if (response.ok) {
+        summary.created++;
+      } else {
+        summary.failed++;
+        console.error(`❌ Failed to create task "${text}":`, await response.text());
+      }
     }
+    schemaWarnings.forEach(warning => console.warn(`⚠️ Task property ${warning}`));
+  } catch (error) {
+    console.error('❌ Error syncing action items to tasks:', error);
+    summary.failed = items.length - summary.created - summary.skipped;
+  }
+
+  console.log(`🗂️ Tasks: ${summary.created} created, ${summary.skipped} already present, ${summary.failed} failed`);
+  return summary;
+}
 
-    const response = await fetch('https://slack.com/api/chat.postMessage', {
+/**
+ * Titles (lowercased) of the tasks already linked to a meeting page
+ * @param {string} meetingProperty - Name of the meeting relation in the tasks database
+ */
+async function getTaskTitlesForMeeting(dataSourceId, meetingPageId, NOTION_TOKEN, meetingProperty) {
+  const titles = new Set();
+  let cursor;
+
+  do {
+    const response = await notionFetch(`${NOTION_API_BASE}/data_sources/${dataSourceId}/query`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${slackToken}`,
-        'Content-Type': 'application/json'
+        'Authorization': `Bearer ${NOTION_TOKEN}`,
+        'Content-Type': 'application/json',
+        'Notion-Version': NOTION_API_VERSION
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({
+        filter: { property: meetingProperty, relation: { contains: meetingPageId } },
+        start_cursor: cursor,
+        page_size: 100
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to query existing tasks: ${await response.text()}`);
+    }
+
+    const result = await response.json();
+    result.results.forEach(page => {
+      const title = Object.values(page.properties || {}).find(prop => prop.type === 'title');
+      const text = (title?.title || []).map(t => t.plain_text || t.text?.content || '').join('').trim();
+      if (text) titles.add(text.toLowerCase());
+    });
+    cursor = result.has_more ? result.next_cursor : undefined;
+  } while (cursor);
+
+  return titles;
+}
+
+/**
+ * Email of an action item's assignee: given directly, or found by matching
+ * the assignee's name against the meeting participants
+ */
+function getActionItemAssigneeEmail(item, participants) {
+  if (!item || typeof item !== 'object') return null;
+  const assignee = item.assignee || item.owner || item.assigned_to;
+  if (!assignee) return null;
+
+  if (typeof assignee === 'object' && assignee.email) {
+    return String(assignee.email).trim().toLowerCase();
+  }
+
+  const name = String(typeof assignee === 'object' ? assignee.name || '' : assignee).trim();
+  if (name.includes('@')) return name.toLowerCase();
+
+  const participant = (Array.isArray(participants) ? participants : [])
+    .find(p => p && typeof p === 'object' && p.email && String(p.name || '').trim().toLowerCase() === name.toLowerCase());
+  return participant ? String(participant.email).trim().toLowerCase() : null;
+}
+
+/**
+ * Due date (YYYY-MM-DD) of an action item: an explicit due date field, an ISO
+ * date in the text, or a relative phrase ("tomorrow", "by Friday", "end of
+ * the week", "next week") counted from the meeting date
+ */
+function extractDueDate(item, text, meetingStart) {
+  const toDate = value => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+  };
+
+  const explicit = item && typeof item === 'object' ? item.due_date || item.due || item.deadline : null;
+  if (explicit && toDate(explicit)) return toDate(explicit);
+
+  const isoMatch = text.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (isoMatch && toDate(isoMatch[1])) return isoMatch[1];
+
+  const base = meetingStart && toDate(meetingStart) ? new Date(meetingStart) : new Date();
+  const addDays = days => {
+    const date = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate() + days));
+    return date.toISOString().split('T')[0];
+  };
+  const daysUntil = weekday => ((weekday - base.getUTCDay() + 7) % 7) || 7;
+
+  const lower = text.toLowerCase();
+  const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  if (/\btomorrow\b/.test(lower)) return addDays(1);
+
+  const weekdayMatch = lower.match(/\b(?:by|on|before|until|due)\s+(?:next\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/);
+  if (weekdayMatch) return addDays(daysUntil(weekdays.indexOf(weekdayMatch[1])));
+
+  if (/\bend of (?:the )?week\b/.test(lower)) return addDays(daysUntil(5));
+  if (/\bnext week\b/.test(lower)) return addDays(7);
+
+  return null;
+}
+
+/**
+ * Lookups against the Notion member database (synced from the member
+ * roster) and workspace users, cached for one webhook
+ */
+function createPeopleDirectory(env) {
+  const memberPages = new Map();
+  let memberDataSourceId;
+  let usersByEmail = null;
+
+  const headers = {
+    'Authorization': `Bearer ${env.NOTION_TOKEN}`,
+    'Content-Type': 'application/json',
+    'Notion-Version': NOTION_API_VERSION
+  };
+
+  const pageEmails = page => Object.values(page.properties || {})
+    .filter(prop => prop.type === 'email' && prop.email)
+    .map(prop => prop.email.trim().toLowerCase());
+
+  /**
+   * Member database page whose roster email matches (null when not found)
+   */
+  async function findMemberPage(email) {
+    const key = String(email || '').trim().toLowerCase();
+    if (!key || !env.MEMBER_DATABASE_ID) return null;
+    if (memberPages.has(key)) return memberPages.get(key);
+
+    if (memberDataSourceId === undefined) {
+      memberDataSourceId = await getDataSourceId(env.MEMBER_DATABASE_ID, env);
+    }
+    if (!memberDataSourceId) return null;
+
+    const response = await notionFetch(`${NOTION_API_BASE}/data_sources/${memberDataSourceId}/query`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        filter: { or: MEMBER_EMAIL_PROPERTIES.map(property => ({ property, email: { equals: key } })) },
+        page_size: 1
+      })
     });
 
+    let page = null;
     if (response.ok) {
-      console.log('✅ Slack notification sent');
+      page = (await response.json()).results[0] || null;
     } else {
-      console.error('❌ Failed to send Slack notification:', await response.text());
+      console.error(`❌ Failed to look up member ${key}:`, await response.text());
     }
-  } catch (error) {
-    console.error('❌ Error sending Slack notification:', error);
+
+    memberPages.set(key, page);
+    if (page) pageEmails(page).forEach(other => memberPages.set(other, page));
+    return page;
   }
+
+  /**
+   * Workspace users by email (requires the "read user information including email" capability)
+   */
+  async function loadUsers() {
+    if (usersByEmail) return usersByEmail;
+    usersByEmail = new Map();
+
+    let cursor;
+    do {
+      const query = cursor ? `?page_size=100&start_cursor=${cursor}` : '?page_size=100';
+      const response = await notionFetch(`${NOTION_API_BASE}/users${query}`, { headers });
+      if (!response.ok) {
+        console.error('❌ Failed to list Notion users:', await response.text());
+        break;
+      }
+      const result = await response.json();
+      result.results
+        .filter(user => user.type === 'person' && user.person?.email)
+        .forEach(user => usersByEmail.set(user.person.email.toLowerCase(), user.id));
+      cursor = result.has_more ? result.next_cursor : null;
+    } while (cursor);
+
+    return usersByEmail;
+  }
+
+  /**
+   * Notion user ID for a participant email. The roster entry's other emails
+   * are tried too, so an ESCP address still finds a 180DC Notion account.
+   */
+  async function resolveUserId(email) {
+    const key = String(email || '').trim().toLowerCase();
+    if (!key) return null;
+
+    const member = await findMemberPage(key);
+    const candidates = [key, ...(member ? pageEmails(member) : [])];
+    const users = await loadUsers();
+    const match = candidates.find(candidate => users.has(candidate));
+    return match ? users.get(match) : null;
+  }
+
+  return { findMemberPage, resolveUserId };
 }
 
 /**
- * Send debugging notification for webhook reception
+ * Meeting length in minutes (null unless both start and end time are known)
  */
-async function sendWebhookReceivedNotification({ webhookData, headers, source, slackToken, slackChannel }) {
-  if (!slackToken || !slackChannel) {
-    console.log('⚠️ Slack notifications disabled - missing SLACK_BOT_TOKEN or SLACK_CHANNEL');
-    return;
-  }
+function getMeetingMinutes(meetingData) {
+  const start = Date.parse(meetingData.start_time);
+  const end = Date.parse(meetingData.end_time);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+  return Math.round((end - start) / 60000);
+}
 
-  try {
-    let message = `🔔 *Read.ai Webhook Received*\n\n`;
-    message += `📡 *Source:* ${source}\n`;
-    message += `⏰ *Time:* ${new Date().toLocaleString()}\n\n`;
-    
-    message += `📊 *Webhook Data:*\n`;
-    if (webhookData.session_id) message += `• Session ID: \`${webhookData.session_id}\`\n`;
-    if (webhookData.trigger) message += `• Trigger: \`${webhookData.trigger}\`\n`;
-    if (webhookData.title) message += `• Title: ${webhookData.title}\n`;
-    if (webhookData.start_time) message += `• Start Time: ${webhookData.start_time}\n`;
-    if (webhookData.end_time) message += `• End Time: ${webhookData.end_time}\n`;
-    if (webhookData.participants) {
-      const participants = Array.isArray(webhookData.participants) ? webhookData.participants : [webhookData.participants];
-      message += `• Participants: ${participants.join(', ')}\n`;
-    }
-    if (webhookData.owner) message += `• Owner: ${webhookData.owner}\n`;
-
-    // Check for meeting data presence
-    const hasMeetingData = webhookData.session_id && webhookData.trigger && webhookData.title;
-    message += `\n🔍 *Meeting Detection:* ${hasMeetingData ? '✅ Meeting data present' : '❌ Missing meeting data'}\n`;
-
-    if (headers) {
-      message += `\n📋 *Headers:*\n`;
-      if (headers['user-agent']) message += `• User-Agent: ${headers['user-agent']}\n`;
-      if (headers['content-type']) message += `• Content-Type: ${headers['content-type']}\n`;
-      if (headers['x-forwarded-for']) message += `• X-Forwarded-For: ${headers['x-forwarded-for']}\n`;
-    }
-
-    const payload = {
-      channel: slackChannel,
-      text: message,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: message
-          }
-        }
-      ]
+/**
+ * Meeting analytics of the `days` days before `until`, read from the meeting
+ * database (and the tasks database for action items)
+ */
+async function loadMeetingStats(env, days, until = new Date()) {
+  const since = new Date(until.getTime() - days * 24 * 60 * 60 * 1000);
+
+  const dataSource = await getDataSource(env.MEETING_DATABASE_ID, env);
+  if (!dataSource) {
+    throw new Error('Could not get data source ID for meeting database');
+  }
+  const renames = await loadMeetingPropertyRenames(env);
+  const property = name => schemaPropertyName(name, dataSource.properties, renames);
+  const dateProperty = property('Date');
+
+  // Meetings by their date, or when the page was created if there is no Date property
+  const pages = await queryDataSource(dataSource.id, {
+    filter: dateProperty
+      ? { and: [
+          { property: dateProperty, date: { on_or_after: since.toISOString().split('T')[0] } },
+          { property: dateProperty, date: { on_or_before: until.toISOString().split('T')[0] } }
+        ] }
+      : { timestamp: 'created_time', created_time: { on_or_after: since.toISOString() } }
+  }, env.NOTION_TOKEN);
+
+  const meetings = pages.map(page => {
+    const value = name => (property(name) ? page.properties[property(name)] : null);
+    return {
+      type: propertyValues(value('Type'))[0] || null,
+      minutes: value(MEETING_DURATION_PROPERTY)?.number ?? null,
+      participants: propertyValues(value('Participants'))
     };
+  });
+
+  const actionItems = env.TASKS_DATABASE_ID ? await loadActionItemStats(env, since, until) : null;
+  console.log(`📈 Stats: ${meetings.length} meetings since ${since.toISOString()}`);
+  return aggregateMeetingStats({ since, until, meetings, actionItems });
+}
+
+/**
+ * Action items created between `since` and `until`, and all open ones (null without a
+ * status property on the tasks database)
+ */
+async function loadActionItemStats(env, since, until) {
+  const dataSource = await getDataSource(env.TASKS_DATABASE_ID, env);
+  if (!dataSource) {
+    throw new Error('Could not get data source ID for tasks database');
+  }
+  const meetingProperty = schemaPropertyName(TASK_PROPERTIES.meeting, dataSource.properties);
+  const statusProperty = schemaPropertyName(TASK_PROPERTIES.status, dataSource.properties);
 
-    const response = await fetch('https://slack.com/api/chat.postMessage', {
+  const tasks = await queryDataSource(dataSource.id, meetingProperty
+    ? { filter: { property: meetingProperty, relation: { is_not_empty: true } } }
+    : {}, env.NOTION_TOKEN);
+
+  const isDone = page => {
+    const status = page.properties[statusProperty];
+    if (status?.type === 'checkbox') return status.checkbox;
+    return propertyValues(status).some(value => TASK_DONE_STATUSES.includes(value.toLowerCase()));
+  };
+
+  return {
+    created: tasks.filter(page => {
+      const created = Date.parse(page.created_time);
+      return created >= since.getTime() && created <= until.getTime();
+    }).length,
+    open: statusProperty ? tasks.filter(page => !isDone(page)).length : null
+  };
+}
+
+/**
+ * Names or text of a select, multi-select, status, text or title property value
+ */
+function propertyValues(property) {
+  if (!property) return [];
+  switch (property.type) {
+    case 'select':
+    case 'status':
+      return property[property.type] ? [property[property.type].name] : [];
+    case 'multi_select':
+      return property.multi_select.map(option => option.name);
+    case 'rich_text':
+    case 'title':
+      return property[property.type].map(part => part.plain_text || '').join('')
+        .split(',').map(part => part.trim()).filter(Boolean);
+    default:
+      return [];
+  }
+}
+
+/**
+ * All pages of a data source query (follows pagination)
+ */
+async function queryDataSource(dataSourceId, body, NOTION_TOKEN) {
+  const pages = [];
+  let cursor;
+
+  do {
+    const response = await notionFetch(`${NOTION_API_BASE}/data_sources/${dataSourceId}/query`, {
       method: 'POST',
       headers: {
-        'Authorization': `Bearer ${slackToken}`,
-        'Content-Type': 'application/json'
+        'Authorization': `Bearer ${NOTION_TOKEN}`,
+        'Content-Type': 'application/json',
+        'Notion-Version': NOTION_API_VERSION
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({ ...body, start_cursor: cursor, page_size: 100 })
     });
 
-    if (response.ok) {
-      console.log('✅ Webhook received notification sent');
-    } else {
-      console.error('❌ Failed to send webhook received notification:', await response.text());
+    if (!response.ok) {
+      throw new Error(`Failed to query data source: ${await response.text()}`);
     }
-  } catch (error) {
-    console.error('❌ Error sending webhook received notification:', error);
+
+    const result = await response.json();
+    pages.push(...result.results);
+    cursor = result.has_more ? result.next_cursor : undefined;
+  } while (cursor);
+
+  return pages;
+}
+
+/**
+ * Find the meeting page previously created for a Read.ai session. Throws
+ * when Notion can't be queried, so the delivery is retried instead of
+ * creating a duplicate page
+ * @returns {Promise<string|null>} Page ID
+ */
+async function findMeetingPageBySessionId(dataSourceId, sessionId, NOTION_TOKEN, property = 'Session ID') {
+  const response = await notionFetch(`${NOTION_API_BASE}/data_sources/${dataSourceId}/query`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Content-Type': 'application/json',
+      'Notion-Version': NOTION_API_VERSION
+    },
+    body: JSON.stringify({
+      filter: {
+        property,
+        rich_text: { equals: String(sessionId) }
+      },
+      page_size: 1
+    })
+  });
+
+  // A failed lookup must not read as "not found": creating a page then would duplicate it
+  if (!response.ok) {
+    throw new Error(`Failed to look up meeting by session ID [${response.status}]: ${await response.text()}`);
   }
+
+  const result = await response.json();
+  const page = result.results && result.results[0];
+  if (page) {
+    console.log(`🔁 Found existing meeting page for session ${sessionId}: ${page.id}`);
+    return page.id;
+  }
+  return null;
 }
 
 /**
- * Send debugging notification for meeting data validation
+ * Remove all content blocks from a page (before re-adding the transcript)
  */
-async function sendMeetingValidationNotification({ webhookData, isValid, missingFields = [], trigger, slackToken, slackChannel }) {
-  if (!slackToken || !slackChannel) {
-    console.log('⚠️ Slack notifications disabled - missing SLACK_BOT_TOKEN or SLACK_CHANNEL');
-    return;
+async function clearPageContent(pageId, NOTION_TOKEN) {
+  const blocks = await listChildBlocks(pageId, NOTION_TOKEN);
+  console.log(`🧹 Removing ${blocks.length} existing blocks from page ${pageId}`);
+  await deleteBlocks(blocks, NOTION_TOKEN);
+}
+
+/**
+ * List the direct children of a page or block
+ */
+async function listChildBlocks(parentId, NOTION_TOKEN) {
+  const headers = {
+    'Authorization': `Bearer ${NOTION_TOKEN}`,
+    'Notion-Version': NOTION_API_VERSION
+  };
+
+  const blocks = [];
+  let cursor;
+  do {
+    const query = cursor ? `?page_size=100&start_cursor=${cursor}` : '?page_size=100';
+    const response = await notionFetch(`${NOTION_API_BASE}/blocks/${parentId}/children${query}`, { headers });
+    if (!response.ok) {
+      throw new Error(`Failed to list page content: ${await response.text()}`);
+    }
+    const result = await response.json();
+    blocks.push(...result.results);
+    cursor = result.has_more ? result.next_cursor : null;
+  } while (cursor);
+
+  return blocks;
+}
+
+async function deleteBlocks(blocks, NOTION_TOKEN) {
+  for (const block of blocks) {
+    const response = await notionFetch(`${NOTION_API_BASE}/blocks/${block.id}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${NOTION_TOKEN}`,
+        'Notion-Version': NOTION_API_VERSION
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to delete block ${block.id}: ${await response.text()}`);
+    }
   }
+}
 
-  try {
-    const emoji = isValid ? '✅' : '❌';
-    const statusText = isValid ? 'Meeting Data Valid' : 'Meeting Data Invalid';
-    
-    let message = `${emoji} *${statusText}*\n\n`;
-    message += `📊 *Session ID:* \`${webhookData.session_id || 'Missing'}\`\n`;
-    message += `🎯 *Trigger:* \`${trigger || 'Missing'}\`\n`;
-    message += `📝 *Title:* ${webhookData.title || 'Missing'}\n`;
-
-    if (!isValid && missingFields.length > 0) {
-      message += `\n❌ *Missing Required Fields:*\n`;
-      missingFields.forEach(field => {
-        message += `• ${field}\n`;
-      });
+/**
+ * Fetch against the Notion API, retrying rate limits (429, honouring
+ * Retry-After) and server errors with exponential backoff
+ */
+async function notionFetch(url, options) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await fetch(url, options);
+    const retryable = response.status === 429 || response.status >= 500;
+    if (!retryable || attempt >= NOTION_MAX_RETRIES) {
+      return response;
     }
 
-    // Check if trigger is correct for meeting processing
-    const isCorrectTrigger = trigger === 'meeting_end';
-    message += `\n🔍 *Trigger Validation:* ${isCorrectTrigger ? '✅ Correct trigger (meeting_end)' : '❌ Wrong trigger (expected: meeting_end)'}\n`;
+    const retryAfter = Number(response.headers.get('retry-after'));
+    const delayMs = retryAfter > 0 ? retryAfter * 1000 : 500 * 2 ** attempt;
+    console.warn(`⏳ Notion responded ${response.status}; retrying in ${delayMs}ms (attempt ${attempt + 1}/${NOTION_MAX_RETRIES})`);
+    await sleep(delayMs);
+  }
+}
 
-    // Check for additional meeting data
-    const hasParticipants = webhookData.participants && (Array.isArray(webhookData.participants) ? webhookData.participants.length > 0 : webhookData.participants);
-    const hasSummary = webhookData.summary && webhookData.summary.trim().length > 0;
-    const hasTranscript = webhookData.transcript && webhookData.transcript.trim().length > 0;
-    
-    message += `\n📋 *Additional Data:*\n`;
-    message += `• Participants: ${hasParticipants ? '✅ Present' : '❌ Missing'}\n`;
-    message += `• Summary: ${hasSummary ? '✅ Present' : '❌ Missing'}\n`;
-    message += `• Transcript: ${hasTranscript ? '✅ Present' : '❌ Missing'}\n`;
-
-    message += `\n⏰ *Time:* ${new Date().toLocaleString()}`;
-
-    const payload = {
-      channel: slackChannel,
-      text: message,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: message
-          }
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Format a speaker block timestamp: offset from the meeting start when both
+ * are known ("12:34" / "1:02:03"), otherwise the UTC time of day
+ */
+function formatTranscriptTimestamp(blockStart, meetingStart) {
+  const toMs = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const ms = typeof value === 'number' ? value : (/^\d+$/.test(value) ? Number(value) : Date.parse(value));
+    if (!Number.isFinite(ms)) return null;
+    return ms < 1e12 ? ms * 1000 : ms; // seconds → milliseconds
+  };
+
+  const start = toMs(blockStart);
+  if (start === null) return null;
+
+  const meeting = toMs(meetingStart);
+  if (meeting !== null && start >= meeting) {
+    const totalSeconds = Math.floor((start - meeting) / 1000);
+    const h = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds % 3600) / 60);
+    const sec = String(totalSeconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  return new Date(start).toISOString().substring(11, 19);
+}
+
+/**
+ * Rich text items for a string, split at Notion's 2000-character limit
+ */
+function richText(content, annotations) {
+  const text = String(content || '');
+  if (!text) return [];
+  return chunkText(text, NOTION_MAX_TEXT_LENGTH).map(chunk => ({
+    type: 'text',
+    text: { content: chunk },
+    ...(annotations ? { annotations } : {})
+  }));
+}
+
+/**
+ * Paragraph block from rich text items
+ */
+function paragraphBlock(richText) {
+  return {
+    object: 'block',
+    type: 'paragraph',
+    paragraph: { rich_text: richText }
+  };
+}
+
+/**
+ * Block of a simple type (heading_2, heading_3, bulleted_list_item, ...) with text
+ */
+function textBlock(type, content) {
+  return {
+    object: 'block',
+    type,
+    [type]: { rich_text: richText(content) }
+  };
+}
+
+/**
+ * Text of a Read.ai list entry (string or { text })
+ */
+function itemText(item) {
+  return String((item && typeof item === 'object' ? item.text || item.title || item.name : item) || '').trim();
+}
+
+/**
+ * Name of the person an action item is assigned to, when Read.ai supplies one
+ */
+function getActionItemAssignee(item) {
+  if (!item || typeof item !== 'object') return null;
+  const assignee = item.assignee || item.owner || item.assigned_to;
+  if (!assignee) return null;
+  return typeof assignee === 'object' ? assignee.name || assignee.email || null : String(assignee);
+}
+
+// Headings of the page body sections (Chapters and Topics share one slot)
+const BODY_SECTION_HEADINGS = {
+  'Action Items': 'action_items',
+  'Key Questions': 'key_questions',
+  'Chapters': 'outline',
+  'Topics': 'outline'
+};
+const TRANSCRIPT_HEADING = 'Meeting Transcript';
+const SUMMARY_EMOJI = '📝';
+
+/**
+ * Build the meeting page body sections (everything except the transcript):
+ * Summary callout, action items as to-dos, key questions as bullets,
+ * and chapters (or topics) as headings. Sections without content are left out.
+ * @returns {{summary: Object|null, sections: Array<{key: string, title: string, blocks: Object[]}>}}
+ */
+function buildMeetingBodySections(meetingData) {
+  const summary = meetingData.summary
+    ? {
+        object: 'block',
+        type: 'callout',
+        callout: {
+          rich_text: richText(meetingData.summary),
+          icon: { type: 'emoji', emoji: SUMMARY_EMOJI },
+          color: 'gray_background'
         }
-      ]
-    };
+      }
+    : null;
+  const sections = [];
+
+  const actionItems = Array.isArray(meetingData.action_items) ? meetingData.action_items : [];
+  const todos = actionItems
+    .map(item => ({ text: itemText(item), assignee: getActionItemAssignee(item) }))
+    .filter(item => item.text)
+    .map(item => ({
+      object: 'block',
+      type: 'to_do',
+      to_do: {
+        rich_text: [
+          ...richText(item.text),
+          ...(item.assignee ? richText(` — ${item.assignee}`, { bold: true }) : [])
+        ],
+        checked: false
+      }
+    }));
+  if (todos.length > 0) {
+    sections.push({ key: 'action_items', title: 'Action Items', blocks: todos });
+  }
 
-    const response = await fetch('https://slack.com/api/chat.postMessage', {
-      method: 'POST',
+  const keyQuestions = (Array.isArray(meetingData.key_questions) ? meetingData.key_questions : [])
+    .map(itemText)
+    .filter(Boolean);
+  if (keyQuestions.length > 0) {
+    sections.push({
+      key: 'key_questions',
+      title: 'Key Questions',
+      blocks: keyQuestions.map(question => textBlock('bulleted_list_item', question))
+    });
+  }
+
+  // Chapters when Read.ai sends them, otherwise one heading per topic
+  const chapters = Array.isArray(meetingData.chapter_summaries) ? meetingData.chapter_summaries : [];
+  const topics = (Array.isArray(meetingData.topics) ? meetingData.topics : []).map(itemText).filter(Boolean);
+  if (chapters.length > 0) {
+    const blocks = [];
+    chapters.forEach(chapter => {
+      const title = itemText(chapter);
+      if (title) blocks.push(textBlock('heading_3', title));
+      if (chapter.description) blocks.push(paragraphBlock(richText(chapter.description)));
+    });
+    sections.push({ key: 'outline', title: 'Chapters', blocks });
+  } else if (topics.length > 0) {
+    sections.push({ key: 'outline', title: 'Topics', blocks: topics.map(topic => textBlock('heading_3', topic)) });
+  }
+
+  return { summary, sections };
+}
+
+/**
+ * Build the meeting page body (everything except the transcript) as one list of blocks
+ */
+function buildMeetingBodyBlocks(meetingData) {
+  const { summary, sections } = buildMeetingBodySections(meetingData);
+  return [
+    ...(summary ? [summary] : []),
+    ...sections.flatMap(section => [textBlock('heading_2', section.title), ...section.blocks])
+  ];
+}
+
+/**
+ * Locate the sections of an existing page body: the summary callout, each
+ * section heading with the blocks up to the next heading_2, the transcript
+ * toggle, and the last block before the transcript (where new sections go).
+ * Blocks added by hand between sections belong to the section above them.
+ */
+function parseMeetingBody(blocks) {
+  const layout = { summary: null, sections: new Map(), transcript: null, lastBeforeTranscript: null };
+  let current = null;
+
+  for (const block of blocks) {
+    if (block.type === 'heading_2') {
+      const title = blockPlainText(block);
+      current = null;
+      if (title === TRANSCRIPT_HEADING) {
+        layout.transcript = block;
+        continue;
+      }
+      const key = BODY_SECTION_HEADINGS[title];
+      if (key && !layout.sections.has(key)) {
+        current = { heading: block, title, contents: [] };
+        layout.sections.set(key, current);
+      }
+    } else if (current) {
+      current.contents.push(block);
+    } else if (!layout.summary && block.type === 'callout' && block.callout?.icon?.emoji === SUMMARY_EMOJI) {
+      layout.summary = block;
+    }
+
+    if (!layout.transcript) layout.lastBeforeTranscript = block;
+  }
+
+  return layout;
+}
+
+function blockPlainText(block) {
+  return (block[block.type]?.rich_text || []).map(part => part.plain_text ?? part.text?.content ?? '').join('').trim();
+}
+
+/**
+ * Build transcript paragraph blocks. Each Read.ai speaker block becomes its
+ * own paragraph with the speaker's name in bold and a timestamp when
+ * available; text over Notion's 2000-character limit continues in
+ * follow-up paragraphs. Plain-string transcripts are chunked as-is.
+ */
+function buildTranscriptBlocks(meetingData) {
+  const transcript = meetingData.transcript;
+  if (!transcript) return [];
+
+  if (!Array.isArray(transcript.speaker_blocks)) {
+    if (typeof transcript !== 'string' || !transcript.trim()) return [];
+    return chunkText(transcript, NOTION_MAX_TEXT_LENGTH)
+      .map(chunk => paragraphBlock([{ type: 'text', text: { content: chunk } }]));
+  }
+
+  return transcript.speaker_blocks.flatMap(block => {
+    const speaker = block.speaker?.name || block.speaker || 'Unknown speaker';
+    const words = String(block.words || '').trim();
+    if (!words) return [];
+
+    const timestamp = formatTranscriptTimestamp(block.start_time, meetingData.start_time);
+    const [first, ...rest] = chunkText(words, NOTION_MAX_TEXT_LENGTH);
+
+    const header = [
+      { type: 'text', text: { content: String(speaker).substring(0, 200) }, annotations: { bold: true } }
+    ];
+    if (timestamp) {
+      header.push({ type: 'text', text: { content: ` [${timestamp}]` }, annotations: { color: 'gray' } });
+    }
+    header.push({ type: 'text', text: { content: ': ' } }, { type: 'text', text: { content: first } });
+
+    return [
+      paragraphBlock(header),
+      ...rest.map(chunk => paragraphBlock([{ type: 'text', text: { content: chunk } }]))
+    ];
+  });
+}
+
+/**
+ * Append children to a page or block in batches of 100
+ * @param {string|null} [after] - Insert after this child block instead of at the end
+ * @returns {Promise<Object[]|null>} Created blocks, or null on failure
+ */
+async function appendBlockChildren(parentId, blocks, NOTION_TOKEN, after = null) {
+  const created = [];
+  let position = after;
+
+  for (let i = 0; i < blocks.length; i += NOTION_MAX_BLOCKS_PER_REQUEST) {
+    const batch = blocks.slice(i, i + NOTION_MAX_BLOCKS_PER_REQUEST);
+    const response = await notionFetch(`${NOTION_API_BASE}/blocks/${parentId}/children`, {
+      method: 'PATCH',
       headers: {
-        'Authorization': `Bearer ${slackToken}`,
-        'Content-Type': 'application/json'
+        'Authorization': `Bearer ${NOTION_TOKEN}`,
+        'Content-Type': 'application/json',
+        'Notion-Version': NOTION_API_VERSION
       },
-      body: JSON.stringify(payload)
+      body: JSON.stringify({
+        children: batch,
+        ...(position ? { after: position } : {})
+      })
     });
 
-    if (response.ok) {
-      console.log('✅ Meeting validation notification sent');
-    } else {
-      console.error('❌ Failed to send meeting validation notification:', await response.text());
+    if (!response.ok) {
+      const error = await response.text();
+      console.error(`❌ Failed to append blocks (batch ${i / NOTION_MAX_BLOCKS_PER_REQUEST + 1}):`, error);
+      return null;
+    }
+
+    const result = await response.json();
+    const batchCreated = result.results || [];
+    created.push(...batchCreated);
+    // Keep later batches in order after the ones just inserted
+    if (position && batchCreated.length > 0) {
+      position = batchCreated[batchCreated.length - 1].id;
     }
-  } catch (error) {
-    console.error('❌ Error sending meeting validation notification:', error);
   }
+
+  return created;
 }
 
 /**
- * Send debugging notification for Notion database creation
+ * Write the meeting page body: structured sections, then the transcript
+ * inside a toggle heading (appended to the toggle in batches of 100)
  */
-async function sendNotionCreationNotification({ success, notionPageId, webhookData, error, duration, slackToken, slackChannel }) {
-  if (!slackToken || !slackChannel) {
-    console.log('⚠️ Slack notifications disabled - missing SLACK_BOT_TOKEN or SLACK_CHANNEL');
-    return;
+async function writeMeetingBody(pageId, meetingData, NOTION_TOKEN) {
+  try {
+    const blocks = buildMeetingBodyBlocks(meetingData);
+    const transcriptBlocks = buildTranscriptBlocks(meetingData);
+
+    if (transcriptBlocks.length > 0) {
+      blocks.push(transcriptToggleBlock());
+    }
+
+    if (blocks.length === 0) {
+      return true;
+    }
+
+    console.log(`📄 Writing page body (${blocks.length} blocks, ${transcriptBlocks.length} transcript blocks)...`);
+    const created = await appendBlockChildren(pageId, blocks, NOTION_TOKEN);
+    if (!created) return false;
+
+    if (transcriptBlocks.length > 0) {
+      const toggle = created[created.length - 1];
+      if (!toggle || !toggle.id) {
+        console.error('❌ Transcript toggle was not returned by Notion');
+        return false;
+      }
+      const appended = await appendBlockChildren(toggle.id, transcriptBlocks, NOTION_TOKEN);
+      if (!appended) return false;
+    }
+
+    console.log('✅ Page body written successfully!');
+    return true;
+  } catch (error) {
+    console.error('❌ Error writing page body:', error);
+    return false;
   }
+}
+
+function transcriptToggleBlock() {
+  return {
+    object: 'block',
+    type: 'heading_2',
+    heading_2: {
+      rich_text: richText(TRANSCRIPT_HEADING),
+      is_toggleable: true
+    }
+  };
+}
 
+/**
+ * Merge a recap update into an existing page body: replace the summary and
+ * the sections (and transcript) the update carries, add the ones the page
+ * is missing, and leave everything else - including blocks added by hand -
+ * in place
+ */
+async function mergeMeetingBody(pageId, meetingData, NOTION_TOKEN) {
   try {
-    const emoji = success ? '✅' : '❌';
-    const statusText = success ? 'Notion Page Created Successfully' : 'Notion Page Creation Failed';
-    const durationText = duration ? ` (${Math.round(duration)}ms)` : '';
-    
-    let message = `${emoji} *${statusText}*${durationText}\n\n`;
-    
-    if (success) {
-      message += `🆔 *Notion Page ID:* \`${notionPageId}\`\n`;
-      message += `📝 *Meeting Title:* ${webhookData.title || 'Unknown'}\n`;
-      message += `📊 *Session ID:* \`${webhookData.session_id || 'Unknown'}\`\n`;
-      
-      if (webhookData.participants) {
-        const participants = Array.isArray(webhookData.participants) ? webhookData.participants : [webhookData.participants];
-        message += `👥 *Participants:* ${participants.join(', ')}\n`;
+    const headers = {
+      'Authorization': `Bearer ${NOTION_TOKEN}`,
+      'Content-Type': 'application/json',
+      'Notion-Version': NOTION_API_VERSION
+    };
+    const updateBlock = async (block, content) => {
+      const response = await notionFetch(`${NOTION_API_BASE}/blocks/${block.id}`, {
+        method: 'PATCH',
+        headers,
+        body: JSON.stringify(content)
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to update block ${block.id}: ${await response.text()}`);
       }
-      
-      if (webhookData.start_time && webhookData.end_time) {
-        message += `⏰ *Duration:* ${webhookData.start_time} → ${webhookData.end_time}\n`;
+    };
+
+    const layout = parseMeetingBody(await listChildBlocks(pageId, NOTION_TOKEN));
+    const { summary, sections } = buildMeetingBodySections(meetingData);
+    const transcriptBlocks = buildTranscriptBlocks(meetingData);
+    const missing = [];
+
+    if (summary && layout.summary) {
+      await updateBlock(layout.summary, { callout: { rich_text: summary.callout.rich_text } });
+    } else if (summary) {
+      missing.push(summary);
+    }
+
+    for (const section of sections) {
+      const existing = layout.sections.get(section.key);
+      if (!existing) {
+        missing.push(textBlock('heading_2', section.title), ...section.blocks);
+        continue;
       }
-      
-      message += `\n🔗 *Notion Link:* https://notion.so/${notionPageId.replace(/-/g, '')}\n`;
-    } else {
-      message += `🚨 *Error:* ${error.message}\n`;
-      message += `📝 *Meeting Title:* ${webhookData.title || 'Unknown'}\n`;
-      message += `📊 *Session ID:* \`${webhookData.session_id || 'Unknown'}\`\n`;
-      
-      if (error.stack) {
-        message += `\n🔍 *Error Details:*\n\`\`\`\n${error.stack.substring(0, 500)}...\n\`\`\``;
+      if (existing.title !== section.title) {
+        await updateBlock(existing.heading, { heading_2: { rich_text: richText(section.title) } });
       }
+      await deleteBlocks(existing.contents, NOTION_TOKEN);
+      const inserted = await appendBlockChildren(pageId, section.blocks, NOTION_TOKEN, existing.heading.id);
+      if (!inserted) return false;
     }
 
-    message += `\n⏰ *Time:* ${new Date().toLocaleString()}`;
+    if (missing.length > 0) {
+      // New sections go before the transcript toggle (at the end when there is none)
+      const after = layout.transcript ? layout.lastBeforeTranscript?.id : null;
+      const inserted = await appendBlockChildren(pageId, missing, NOTION_TOKEN, after);
+      if (!inserted) return false;
+    }
 
-    const payload = {
-      channel: slackChannel,
-      text: message,
-      blocks: [
-        {
-          type: 'section',
-          text: {
-            type: 'mrkdwn',
-            text: message
-          }
+    if (transcriptBlocks.length > 0) {
+      let toggleId = layout.transcript?.id;
+      if (toggleId) {
+        await deleteBlocks(await listChildBlocks(toggleId, NOTION_TOKEN), NOTION_TOKEN);
+      } else {
+        const created = await appendBlockChildren(pageId, [transcriptToggleBlock()], NOTION_TOKEN);
+        toggleId = created?.[0]?.id;
+        if (!toggleId) {
+          console.error('❌ Transcript toggle was not returned by Notion');
+          return false;
         }
-      ]
-    };
-
-    const response = await fetch('https://slack.com/api/chat.postMessage', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${slackToken}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
-
-    if (response.ok) {
-      console.log('✅ Notion creation notification sent');
-    } else {
-      console.error('❌ Failed to send Notion creation notification:', await response.text());
+      }
+      const appended = await appendBlockChildren(toggleId, transcriptBlocks, NOTION_TOKEN);
+      if (!appended) return false;
     }
+
+    console.log(`✅ Recap merged into page body (${sections.length} sections${summary ? ', summary' : ''}${transcriptBlocks.length ? ', transcript' : ''})`);
+    return true;
   } catch (error) {
-    console.error('❌ Error sending Notion creation notification:', error);
+    console.error('❌ Error merging recap into page body:', error);
+    return false;
   }
 }
 
+//
+
 //
 // Test trigger
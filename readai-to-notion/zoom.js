@@ -0,0 +1,65 @@
+/**
+ * Zoom adapter: AI Companion meeting summaries
+ *
+ * Zoom sends `meeting.summary_completed` (and `meeting.summary_updated`) with
+ * the summary in payload.object:
+ *   { meeting_uuid, meeting_topic, meeting_start_time, meeting_end_time,
+ *     meeting_host_email, summary_overview,
+ *     summary_details: [{ label, summary }], next_steps: [string] }
+ *
+ * Summary details become chapters and next steps become action items. Zoom
+ * sends no participant list or transcript with these events.
+ */
+
+import { normalizeFields } from './payload.js';
+
+/**
+ * Zoom event names → internal event
+ */
+export const ZOOM_EVENTS = {
+  'meeting.summary_completed': 'meeting_end',
+  'meeting.summary_updated': 'recap_update'
+};
+
+/**
+ * Normalize a Zoom webhook into the Meeting model
+ */
+export function normalizeZoomPayload(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { ok: false, version: null, event: null, reason: 'payload is not an object', meeting: null };
+  }
+
+  const object = (raw.payload && raw.payload.object) || {};
+  const meetingId = object.meeting_uuid || object.uuid || object.meeting_id || object.id;
+  const host = object.meeting_host_email || object.host_email;
+
+  return normalizeFields({
+    source: 'zoom',
+    version: 'zoom-v1',
+    events: ZOOM_EVENTS,
+    fields: {
+      event: raw.event,
+      // Prefixed so Zoom IDs never collide with Read.ai session IDs in Notion
+      session_id: meetingId ? `zoom:${meetingId}` : null,
+      title: object.meeting_topic || object.topic,
+      start_time: object.meeting_start_time || object.start_time,
+      end_time: object.meeting_end_time || object.end_time,
+      owner: host ? { name: object.meeting_host_name || host, email: host } : null,
+      summary: object.summary_overview || object.summary_title,
+      chapter_summaries: (object.summary_details || []).map(detail => ({
+        title: detail.label,
+        description: detail.summary
+      })),
+      action_items: object.next_steps || [],
+      report_url: object.summary_url || null
+    }
+  });
+}
+
+/**
+ * URL validation challenge Zoom sends when the endpoint is saved
+ * @returns {string|null} The plain token to sign
+ */
+export function getZoomValidationToken(raw) {
+  return raw && raw.event === 'endpoint.url_validation' ? raw.payload?.plainToken || null : null;
+}
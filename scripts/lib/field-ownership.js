@@ -0,0 +1,277 @@
+/**
+ * Field Ownership Policy
+ *
+ * Decides, per Notion property, which side owns the value when a sheet → Notion
+ * sync updates an existing page (see config/notion-field-ownership.json):
+ * - sheet:         the sheet value always wins (written whenever it differs,
+ *                  and an empty cell clears the property)
+ * - notion:        edited in Notion; only written when the page is created,
+ *                  and a differing sheet value is reported as a conflict
+ * - fill-if-empty: written only while the Notion property is empty
+ *
+ * Empty sheet cells only clear sheet-owned properties; the syncs send them as
+ * emptyPropertyValue(). Property names are matched case-insensitively.
+ *
+ * `writeBack` lists the columns whose Notion edits are written back to the
+ * sheet (client sync only; empty or missing turns the reverse sync off).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const OWNERSHIP_MODES = ['sheet', 'notion', 'fill-if-empty'];
+
+const DEFAULT_CONFIG_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'config', 'notion-field-ownership.json');
+
+/**
+ * Comparable text of a Notion property value, for both the values a sync
+ * sends and the values Notion returns
+ * @param {Object} property - Notion property value ({ type?, [type]: value })
+ * @returns {string}
+ */
+export function comparablePropertyValue(property) {
+  if (!property) return '';
+
+  const type = property.type || Object.keys(property).find(key => key !== 'id');
+  const value = property[type];
+  switch (type) {
+    case 'title':
+    case 'rich_text':
+      return (value || []).map(part => part.plain_text ?? part.text?.content ?? '').join('').trim();
+    case 'select':
+    case 'status':
+      return value?.name || '';
+    case 'multi_select':
+      return (value || []).map(option => option.name).sort().join(',');
+    case 'date': {
+      const start = value?.start || '';
+      const time = Date.parse(start);
+      return Number.isNaN(time) ? start : new Date(time).toISOString();
+    }
+    case 'files':
+      return (value || []).map(file => file.external?.url || file.file?.url || file.name).join(',');
+    case 'people':
+    case 'relation':
+      return (value || []).map(item => item.id).sort().join(',');
+    default:
+      return value === null || value === undefined ? '' : String(value).trim();
+  }
+}
+
+/**
+ * Value that clears a property of a Notion type, for empty sheet cells of
+ * sheet-owned properties. Null for types that can't be cleared (title,
+ * status, computed types) and for checkboxes, where an empty cell isn't "no".
+ * @param {string} type - Notion property type
+ * @returns {Object|null}
+ */
+export function emptyPropertyValue(type) {
+  switch (type) {
+    case 'rich_text':
+    case 'multi_select':
+    case 'people':
+    case 'relation':
+    case 'files':
+      return { [type]: [] };
+    case 'select':
+    case 'number':
+    case 'date':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+      return { [type]: null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a sheet cell is empty
+ */
+export function isEmptyCell(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+class FieldOwnershipPolicy {
+  /**
+   * @param {Object} config - Policy of one database: { default, fields: { property: mode }, writeBack: [column] }
+   * @param {string} label - Database name used in logs ("clients", "members")
+   */
+  constructor(config, label) {
+    const errors = FieldOwnershipPolicy.validate(config, label);
+    if (errors.length > 0) {
+      throw new Error(`Invalid field ownership config:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.label = label;
+    this.defaultMode = config.default;
+    this.fields = new Map(Object.entries(config.fields || {}).map(([name, mode]) => [name.toLowerCase(), mode]));
+    this.writeBack = config.writeBack || [];
+    this.conflicts = [];
+  }
+
+  /**
+   * Validate the policy of one database
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validate(config, label = 'policy') {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      return [`${label}: must be an object`];
+    }
+
+    const errors = [];
+    if (!OWNERSHIP_MODES.includes(config.default)) {
+      errors.push(`${label}.default: must be one of ${OWNERSHIP_MODES.join(', ')}`);
+    }
+    if (config.fields !== undefined && (typeof config.fields !== 'object' || Array.isArray(config.fields))) {
+      errors.push(`${label}.fields: must be an object`);
+    } else {
+      Object.entries(config.fields || {}).forEach(([name, mode]) => {
+        if (!OWNERSHIP_MODES.includes(mode)) {
+          errors.push(`${label}.fields.${name}: must be one of ${OWNERSHIP_MODES.join(', ')}`);
+        }
+      });
+    }
+    if (config.writeBack !== undefined && (!Array.isArray(config.writeBack) || config.writeBack.some(name => typeof name !== 'string' || !name.trim()))) {
+      errors.push(`${label}.writeBack: must be an array of column names`);
+    }
+    return errors;
+  }
+
+  /**
+   * Ownership mode of a property
+   */
+  modeFor(propertyName) {
+    return this.fields.get(propertyName.toLowerCase()) || this.defaultMode;
+  }
+
+  /**
+   * Log the resolved mode of every synced property, and configured fields
+   * the database doesn't have
+   * @param {string[]} propertyNames - Notion properties that have a sheet column
+   */
+  logPolicy(propertyNames) {
+    console.log(`🔐 Field ownership (${this.label}, default: ${this.defaultMode}):`);
+    propertyNames.forEach(name => {
+      const configured = this.fields.has(name.toLowerCase());
+      console.log(`  ${name}: ${this.modeFor(name)}${configured ? '' : ' (default)'}`);
+    });
+
+    const known = new Set(propertyNames.map(name => name.toLowerCase()));
+    [...this.fields.keys()].filter(name => !known.has(name)).forEach(name => {
+      console.warn(`⚠️ Field ownership config lists "${name}", which is not a synced property of the ${this.label} database`);
+    });
+  }
+
+  /**
+   * Whether the sync should write a sheet value to a property. An empty
+   * value (see emptyPropertyValue) is only written to sheet-owned properties,
+   * to clear them. Disagreements on Notion-owned properties are recorded as
+   * conflicts.
+   * @param {string} propertyName
+   * @param {Object} sheetValue - Notion property value built from the sheet
+   * @param {Object} [notionValue] - Current property value on the page (undefined for new pages)
+   * @param {Object} context
+   * @param {boolean} context.isNew - The page is being created
+   * @param {string} context.pageKey - Page name for the conflict report
+   * @returns {boolean}
+   */
+  shouldWrite(propertyName, sheetValue, notionValue, { isNew, pageKey }) {
+    if (isNew) return true;
+
+    const sheetText = comparablePropertyValue(sheetValue);
+    const notionText = comparablePropertyValue(notionValue);
+    if (sheetText === notionText) return false;
+    if (!sheetText) return this.modeFor(propertyName) === 'sheet';
+
+    switch (this.modeFor(propertyName)) {
+      case 'sheet':
+        return true;
+      case 'fill-if-empty':
+        return !notionText;
+      case 'notion':
+        if (notionText) {
+          this.conflicts.push({ pageKey, propertyName, sheet: sheetText, notion: notionText });
+        }
+        return false;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Log the conflicts found during the run, and add them to the GitHub
+   * Actions job summary when running there
+   * @returns {number} Number of conflicts
+   */
+  reportConflicts() {
+    writeStepSummary(this.conflictSummary());
+
+    if (this.conflicts.length === 0) {
+      console.log(`✅ No field ownership conflicts (${this.label})`);
+      return 0;
+    }
+
+    console.log(`\n⚠️ ${this.conflicts.length} field ownership conflicts (${this.label}) - Notion value kept:`);
+    this.conflicts.forEach(({ pageKey, propertyName, sheet, notion }) => {
+      console.log(`  • ${pageKey} → ${propertyName}: sheet "${sheet}" ≠ Notion "${notion}"`);
+    });
+    return this.conflicts.length;
+  }
+
+  /**
+   * Markdown conflict report for the job summary
+   */
+  conflictSummary() {
+    if (this.conflicts.length === 0) {
+      return `### ✅ No field ownership conflicts (${this.label})\n`;
+    }
+
+    const cell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return [
+      `### ⚠️ ${this.conflicts.length} field ownership conflicts (${this.label})`,
+      '',
+      'These properties are owned by Notion, so the Notion value was kept. Update the sheet, or change the ownership in `config/notion-field-ownership.json`.',
+      '',
+      '| Page | Property | Sheet | Notion |',
+      '| --- | --- | --- | --- |',
+      ...this.conflicts.map(({ pageKey, propertyName, sheet, notion }) => `| ${cell(pageKey)} | ${cell(propertyName)} | ${cell(sheet)} | ${cell(notion)} |`),
+      ''
+    ].join('\n');
+  }
+}
+
+/**
+ * Append markdown to the GitHub Actions job summary (no-op outside Actions)
+ */
+function writeStepSummary(markdown) {
+  const summaryPath = process.env.GITHUB_STEP_SUMMARY;
+  if (!summaryPath) return;
+
+  try {
+    fs.appendFileSync(summaryPath, `${markdown}\n`);
+  } catch (error) {
+    console.warn(`⚠️ Could not write the job summary: ${error.message}`);
+  }
+}
+
+/**
+ * Load the policy of one database from the ownership config
+ * (NOTION_FIELD_OWNERSHIP_CONFIG, default config/notion-field-ownership.json)
+ * @param {string} database - Key in the config ("clients", "members")
+ */
+export function loadFieldOwnership(database, configPath = process.env.NOTION_FIELD_OWNERSHIP_CONFIG || DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read field ownership config ${configPath}: ${error.message}`);
+  }
+
+  const policy = new FieldOwnershipPolicy(raw[database], database);
+  console.log(`📋 Loaded ${database} field ownership from ${configPath}`);
+  return policy;
+}
+
+export default FieldOwnershipPolicy;
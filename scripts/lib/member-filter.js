@@ -0,0 +1,137 @@
+/**
+ * Member Filter
+ *
+ * Declarative filter expressions over roster members (see member-roster.js),
+ * used by config files to decide who belongs in a channel or usergroup.
+ *
+ * Expression forms:
+ *   { "all": [expr, ...] }                          every sub-expression matches
+ *   { "any": [expr, ...] }                          at least one matches
+ *   { "not": expr }                                 negation
+ *   { "field": "status", "equals": "Active" }       comparison on a roster field
+ *
+ * Comparison operators: equals, notEquals, in, notIn, startsWith, isEmpty.
+ * Comparisons are case-insensitive. On list fields (projects) a comparison
+ * matches when any entry matches.
+ */
+
+export const FILTER_FIELDS = [
+  'email',
+  'emailEscp',
+  'fullName',
+  'department',
+  'position',
+  'status',
+  'projects',
+  'campus'
+];
+
+const OPERATORS = ['equals', 'notEquals', 'in', 'notIn', 'startsWith', 'isEmpty'];
+
+/**
+ * Validate a filter expression
+ * @param {Object} expr - Filter expression
+ * @param {string} [path] - Location used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateFilter(expr, path = 'filter') {
+  if (!expr || typeof expr !== 'object' || Array.isArray(expr)) {
+    return [`${path}: must be an object`];
+  }
+
+  if ('all' in expr || 'any' in expr) {
+    const key = 'all' in expr ? 'all' : 'any';
+    if (!Array.isArray(expr[key])) return [`${path}.${key}: must be an array`];
+    return expr[key].flatMap((sub, i) => validateFilter(sub, `${path}.${key}[${i}]`));
+  }
+
+  if ('not' in expr) {
+    return validateFilter(expr.not, `${path}.not`);
+  }
+
+  const errors = [];
+  if (!FILTER_FIELDS.includes(expr.field)) {
+    errors.push(`${path}.field: unknown field "${expr.field}" (expected one of ${FILTER_FIELDS.join(', ')})`);
+  }
+
+  const ops = OPERATORS.filter(op => op in expr);
+  if (ops.length !== 1) {
+    errors.push(`${path}: expected exactly one operator of ${OPERATORS.join(', ')}`);
+    return errors;
+  }
+
+  const [op] = ops;
+  const operand = expr[op];
+  if ((op === 'in' || op === 'notIn') && (!Array.isArray(operand) || operand.some(v => typeof v !== 'string'))) {
+    errors.push(`${path}.${op}: must be an array of strings`);
+  } else if (op === 'isEmpty' && typeof operand !== 'boolean') {
+    errors.push(`${path}.isEmpty: must be true or false`);
+  } else if (['equals', 'notEquals', 'startsWith'].includes(op) && typeof operand !== 'string') {
+    errors.push(`${path}.${op}: must be a string`);
+  }
+
+  return errors;
+}
+
+/**
+ * Compile a filter expression into a member predicate
+ * @param {Object} expr - Filter expression
+ * @returns {(member: Object) => boolean}
+ */
+export function compileFilter(expr) {
+  const errors = validateFilter(expr);
+  if (errors.length > 0) {
+    throw new Error(`Invalid filter expression:\n  ${errors.join('\n  ')}`);
+  }
+  return buildPredicate(expr);
+}
+
+function buildPredicate(expr) {
+  if ('all' in expr) {
+    const subs = expr.all.map(buildPredicate);
+    return member => subs.every(pred => pred(member));
+  }
+
+  if ('any' in expr) {
+    const subs = expr.any.map(buildPredicate);
+    return member => subs.some(pred => pred(member));
+  }
+
+  if ('not' in expr) {
+    const sub = buildPredicate(expr.not);
+    return member => !sub(member);
+  }
+
+  const norm = value => String(value || '').trim().toLowerCase();
+  const valuesOf = member => {
+    const raw = member[expr.field];
+    return (Array.isArray(raw) ? raw : [raw]).map(norm).filter(Boolean);
+  };
+
+  if ('isEmpty' in expr) {
+    return member => (valuesOf(member).length === 0) === expr.isEmpty;
+  }
+
+  if ('equals' in expr) {
+    const target = norm(expr.equals);
+    return member => valuesOf(member).includes(target);
+  }
+
+  if ('notEquals' in expr) {
+    const target = norm(expr.notEquals);
+    return member => !valuesOf(member).includes(target);
+  }
+
+  if ('in' in expr) {
+    const targets = new Set(expr.in.map(norm));
+    return member => valuesOf(member).some(v => targets.has(v));
+  }
+
+  if ('notIn' in expr) {
+    const targets = new Set(expr.notIn.map(norm));
+    return member => !valuesOf(member).some(v => targets.has(v));
+  }
+
+  const prefix = norm(expr.startsWith);
+  return member => valuesOf(member).some(v => v.startsWith(prefix));
+}
@@ -0,0 +1,230 @@
+/**
+ * Member Roster
+ *
+ * Shared loader for the "Member Database" Google Sheet. Every member sync
+ * script reads the roster through this module so that column lookups,
+ * email/phone normalization and list splitting behave the same everywhere.
+ *
+ * Header matching rule (applied to every field):
+ * 1) exact match on the normalized header (trimmed, lowercase, single spaces)
+ * 2) otherwise the first header that starts with the alias
+ * Aliases are tried in order, so the first alias always wins.
+ */
+
+export const ROSTER_SHEET_NAME = 'Member Database';
+
+/**
+ * Sheet column aliases for each roster field, in order of preference
+ */
+export const ROSTER_COLUMNS = {
+  email: ['Email 180'],
+  emailEscp: ['Email ESCP'],
+  fullName: ['Full Name', 'Name'],
+  department: ['Department'],
+  position: ['Position'],
+  status: ['Status'],
+  projects: ['Projects'],
+  campus: ['Campus']
+};
+
+/**
+ * @typedef {Object} RosterMember
+ * @property {number} rowIndex - 1-based sheet row (header is row 1)
+ * @property {string} email - Normalized "Email 180" address ('' when missing)
+ * @property {string} emailEscp - Normalized "Email ESCP" address ('' when missing)
+ * @property {string[]} emails - Known addresses, "Email 180" first
+ * @property {string} fullName
+ * @property {string} department
+ * @property {string} position
+ * @property {string} status
+ * @property {string[]} projects - De-duplicated project names
+ * @property {string} campus
+ * @property {string[]} phones - Phone numbers in +<digits> form
+ * @property {boolean} isActive - Status is "Active"
+ * @property {boolean} isAlumni - Status is "Alumni"
+ * @property {Object<string, string>} fields - Every sheet column by header, trimmed (phones normalized)
+ */
+
+/**
+ * MemberRoster reads the member sheet once and caches the parsed result
+ */
+class MemberRoster {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sheets - Initialized googleapis sheets client
+   * @param {string} options.spreadsheetId - Spreadsheet ID of the member database
+   * @param {string} [options.sheetName] - Tab name (case-insensitive)
+   */
+  constructor({ sheets, spreadsheetId, sheetName = ROSTER_SHEET_NAME }) {
+    this.sheets = sheets;
+    this.spreadsheetId = spreadsheetId;
+    this.sheetName = sheetName;
+    this.cache = null;
+  }
+
+  /**
+   * Load the roster from Google Sheets (cached after the first call)
+   * @returns {Promise<{members: RosterMember[], headers: string[], columns: Object<string, number>}>}
+   */
+  async load() {
+    if (this.cache) return this.cache;
+
+    console.log(`📊 Reading member roster from sheet: ${this.sheetName}`);
+
+    // Resolve the actual tab title (case-insensitive)
+    const spreadsheet = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId
+    });
+
+    const tabs = spreadsheet.data.sheets || [];
+    const targetSheet = tabs.find(sheet =>
+      sheet.properties?.title?.toLowerCase() === this.sheetName.toLowerCase()
+    );
+
+    if (!targetSheet) {
+      throw new Error(`Sheet "${this.sheetName}" not found. Available sheets: ${tabs.map(s => s.properties?.title).join(', ')}`);
+    }
+
+    const actualSheetName = targetSheet.properties.title;
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${actualSheetName}!A:Z`
+    });
+
+    const values = response.data.values;
+    if (!values || values.length < 2) {
+      throw new Error('No data found in sheet');
+    }
+
+    this.cache = this.parse(values);
+    console.log(`📊 Loaded ${this.cache.members.length} members from "${actualSheetName}"`);
+    return this.cache;
+  }
+
+  /**
+   * Parse raw sheet values (header row first) into roster members
+   * @param {Array<Array<string>>} values
+   */
+  parse(values) {
+    const headers = (values[0] || []).map(h => (h === null || h === undefined) ? '' : String(h).trim());
+    const columns = MemberRoster.resolveColumns(headers);
+
+    const missing = Object.keys(ROSTER_COLUMNS).filter(field => columns[field] === -1);
+    if (missing.length > 0) {
+      console.warn(`⚠️ Roster columns not found: ${missing.map(f => ROSTER_COLUMNS[f][0]).join(', ')}`);
+    }
+    console.log('📋 Roster column mapping:', columns);
+
+    const phoneColumns = headers
+      .map((header, index) => ({ header, index }))
+      .filter(({ header }) => header && header.toLowerCase().includes('phone'));
+
+    const members = values.slice(1).map((row, index) => {
+      const cell = (field) => {
+        const idx = columns[field];
+        if (idx === -1 || row[idx] === null || row[idx] === undefined) return '';
+        return String(row[idx]).trim();
+      };
+
+      const fields = {};
+      headers.forEach((header, idx) => {
+        if (!header) return;
+        const value = (row[idx] === null || row[idx] === undefined) ? '' : String(row[idx]).trim();
+        fields[header] = phoneColumns.some(p => p.index === idx) ? MemberRoster.normalizePhone(value) : value;
+      });
+
+      const email = MemberRoster.normalizeEmail(cell('email'));
+      const emailEscp = MemberRoster.normalizeEmail(cell('emailEscp'));
+      const status = cell('status');
+      const rowIndex = index + 2; // +2 because we skipped header and arrays are 0-indexed
+
+      if (email && !MemberRoster.isValidEmail(email)) {
+        console.warn(`⚠️ Invalid email format in row ${rowIndex}: ${email}`);
+      }
+
+      return {
+        rowIndex,
+        email,
+        emailEscp,
+        emails: [email, emailEscp].filter(Boolean),
+        fullName: cell('fullName'),
+        department: cell('department'),
+        position: cell('position'),
+        status,
+        projects: MemberRoster.splitList(cell('projects')),
+        campus: cell('campus'),
+        phones: phoneColumns.map(p => fields[p.header]).filter(Boolean),
+        isActive: status.toLowerCase() === 'active',
+        isAlumni: status.toLowerCase() === 'alumni',
+        fields
+      };
+    }).filter(member => member.email || member.emailEscp || member.fullName); // Drop blank rows
+
+    return { members, headers, columns };
+  }
+
+  /**
+   * Resolve the column index of every roster field (-1 when absent)
+   * @param {string[]} headers
+   * @returns {Object<string, number>}
+   */
+  static resolveColumns(headers) {
+    const normalized = headers.map(h => MemberRoster.normalizeHeader(h));
+    const columns = {};
+
+    for (const [field, aliases] of Object.entries(ROSTER_COLUMNS)) {
+      columns[field] = -1;
+      for (const alias of aliases) {
+        const needle = MemberRoster.normalizeHeader(alias);
+        let idx = normalized.indexOf(needle);
+        if (idx === -1) idx = normalized.findIndex(h => h && h.startsWith(needle));
+        if (idx !== -1) {
+          columns[field] = idx;
+          break;
+        }
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Utility functions
+   */
+  static normalizeHeader(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  static normalizeEmail(value) {
+    const s = String(value || '').trim().toLowerCase();
+    if (!s || !/@/.test(s)) return '';
+    return s;
+  }
+
+  static isValidEmail(email) {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    return emailRegex.test(email);
+  }
+
+  static normalizePhone(value) {
+    let s = String(value || '').trim();
+    if (!s) return '';
+
+    // Sheets can hand back long numbers in scientific notation
+    if (/^\d+(\.\d+)?e\+?\d+$/i.test(s)) {
+      s = Number(s).toFixed(0);
+    }
+
+    return s.startsWith('+') ? s : `+${s}`;
+  }
+
+  static splitList(value) {
+    const seen = new Set();
+    return String(value || '')
+      .split(',')
+      .map(item => item.trim())
+      .filter(item => item && !seen.has(item) && (seen.add(item), true));
+  }
+}
+
+export default MemberRoster;
@@ -0,0 +1,214 @@
+/**
+ * Notion Property Lookups
+ *
+ * Converters for sheet values that point at other Notion objects or at
+ * database options, shared by the Notion member and client syncs:
+ * - people:   comma-separated emails, matched against the workspace users
+ * - relation: comma-separated page titles, looked up in the target database
+ * - status:   option name (case-insensitive) of the status property
+ * - checkbox: yes/no, true/false, 1/0, x
+ *
+ * load() reads the users and the related databases once per run; the
+ * converters are synchronous after that. Values that can't be resolved are
+ * warned about once and left out. If the users or a related database can't be
+ * read, the sync goes on and those people / relation columns are skipped.
+ */
+
+const CHECKBOX_VALUES = {
+  yes: true, y: true, true: true, 1: true, x: true, '✓': true, '✔': true, checked: true,
+  no: false, n: false, false: false, 0: false, unchecked: false
+};
+
+/**
+ * Checkbox value of a sheet cell (null when not a yes/no value)
+ */
+export function toCheckbox(value) {
+  const key = String(value ?? '').trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(CHECKBOX_VALUES, key) ? { checkbox: CHECKBOX_VALUES[key] } : null;
+}
+
+/**
+ * Split a multi-value cell on commas, semicolons and new lines
+ */
+export function splitCellValues(value) {
+  return String(value ?? '').split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+}
+
+class NotionLookups {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Notion integration token
+   * @param {string} [options.apiBase]
+   * @param {string} [options.apiVersion]
+   */
+  constructor({ token, apiBase = 'https://api.notion.com/v1', apiVersion = '2022-06-28' }) {
+    this.token = token;
+    this.apiBase = apiBase;
+    this.apiVersion = apiVersion;
+
+    this.usersByEmail = null; // null until loaded; false when the users could not be read
+    this.pagesByDatabase = new Map(); // database ID → Map<lowercased title, page ID[]>, or null when unreadable
+    this.warned = new Set();
+  }
+
+  /**
+   * Load what the people and relation properties of a schema need
+   * @param {Object} properties - Database properties that have a sheet column
+   */
+  async load(properties) {
+    const types = Object.values(properties).map(property => property.type);
+    if (types.includes('people') && this.usersByEmail === null) {
+      try {
+        this.usersByEmail = await this.loadUsers();
+      } catch (error) {
+        console.warn(`⚠️ Could not load the Notion users - people properties are skipped this run: ${error.message}`);
+        this.usersByEmail = false;
+      }
+    }
+
+    for (const [name, property] of Object.entries(properties)) {
+      const databaseId = property.type === 'relation' ? property.relation?.database_id : null;
+      if (!databaseId || this.pagesByDatabase.has(databaseId)) continue;
+      try {
+        this.pagesByDatabase.set(databaseId, await this.loadPageTitles(databaseId, name));
+      } catch (error) {
+        console.warn(`⚠️ Could not load the pages related by "${name}" - the relation is skipped this run: ${error.message}`);
+        this.pagesByDatabase.set(databaseId, null);
+      }
+    }
+  }
+
+  /**
+   * Workspace members by lowercased email (bots have no email)
+   * @returns {Promise<Map<string, string>>} Email → user ID
+   */
+  async loadUsers() {
+    const users = new Map();
+    let cursor;
+    do {
+      const query = cursor ? `?start_cursor=${encodeURIComponent(cursor)}` : '';
+      const data = await this.request('GET', `/users${query}`);
+      data.results.forEach(user => {
+        const email = user.person?.email;
+        if (email) users.set(email.toLowerCase(), user.id);
+      });
+      cursor = data.has_more ? data.next_cursor : null;
+    } while (cursor);
+
+    console.log(`👥 Loaded ${users.size} Notion users for people properties`);
+    return users;
+  }
+
+  /**
+   * Titles of every page in a related database
+   * @returns {Promise<Map<string, string[]>>} Lowercased title → page IDs
+   */
+  async loadPageTitles(databaseId, propertyName) {
+    const titles = new Map();
+    let cursor;
+    do {
+      const data = await this.request('POST', `/databases/${databaseId}/query`, cursor ? { start_cursor: cursor } : {});
+      data.results.forEach(page => {
+        const title = Object.values(page.properties || {}).find(property => property.type === 'title');
+        const text = (title?.title || []).map(part => part.plain_text).join('').trim().toLowerCase();
+        if (!text) return;
+        if (!titles.has(text)) titles.set(text, []);
+        titles.get(text).push(page.id);
+      });
+      cursor = data.has_more ? data.next_cursor : null;
+    } while (cursor);
+
+    console.log(`🔗 Loaded ${titles.size} page titles for relation "${propertyName}"`);
+    return titles;
+  }
+
+  /**
+   * People value from comma-separated emails
+   */
+  toPeople(value, propertyName) {
+    if (!this.usersByEmail) {
+      if (this.usersByEmail === false) this.warnOnce(propertyName, `⚠️ ${propertyName}: Notion users unavailable - column skipped`);
+      return null;
+    }
+
+    const ids = [];
+    splitCellValues(value).forEach(email => {
+      const id = this.usersByEmail.get(email.toLowerCase());
+      if (id) {
+        ids.push(id);
+      } else {
+        this.warnOnce(`${propertyName}:${email}`, `⚠️ ${propertyName}: no Notion user with email "${email}"`);
+      }
+    });
+    return ids.length ? { people: [...new Set(ids)].map(id => ({ id })) } : null;
+  }
+
+  /**
+   * Relation value from comma-separated page titles of the target database
+   * @param {Object} property - Relation property schema
+   */
+  toRelation(value, propertyName, property) {
+    const titles = this.pagesByDatabase.get(property.relation?.database_id);
+    if (!titles) {
+      if (titles === null) this.warnOnce(propertyName, `⚠️ ${propertyName}: related pages unavailable - column skipped`);
+      return null;
+    }
+
+    const ids = [];
+    splitCellValues(value).forEach(title => {
+      const matches = titles.get(title.toLowerCase()) || [];
+      if (matches.length === 0) {
+        this.warnOnce(`${propertyName}:${title}`, `⚠️ ${propertyName}: no related page titled "${title}"`);
+        return;
+      }
+      if (matches.length > 1) {
+        this.warnOnce(`${propertyName}:${title}`, `⚠️ ${propertyName}: ${matches.length} related pages titled "${title}" - linking the first`);
+      }
+      ids.push(matches[0]);
+    });
+    return ids.length ? { relation: [...new Set(ids)].map(id => ({ id })) } : null;
+  }
+
+  /**
+   * Status value from an option name; Notion can't create status options,
+   * so unknown names are left out
+   * @param {Object} property - Status property schema
+   */
+  toStatus(value, propertyName, property) {
+    const name = String(value ?? '').trim();
+    if (!name) return null;
+
+    const option = (property.status?.options || []).find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (!option) {
+      this.warnOnce(`${propertyName}:${name}`, `⚠️ ${propertyName}: "${name}" is not a status option`);
+      return null;
+    }
+    return { status: { name: option.name } };
+  }
+
+  warnOnce(key, message) {
+    if (this.warned.has(key)) return;
+    this.warned.add(key);
+    console.warn(message);
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.apiBase}${path}`, {
+      method,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Notion-Version': this.apiVersion,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const error = await response.text();
+      throw new Error(`Notion ${method} ${path} failed [${response.status}]: ${error}`);
+    }
+    return response.json();
+  }
+}
+
+export default NotionLookups;
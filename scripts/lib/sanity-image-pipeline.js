@@ -0,0 +1,117 @@
+/**
+ * Sanity Image Pipeline
+ *
+ * Uploads images to Sanity as AVIF, deduplicated by a SHA-256 hash of the
+ * source bytes. The hash is stored on the asset's `source` field
+ * ({ name: SOURCE_NAME, id: <hash>, url }), so an unchanged avatar or logo
+ * reuses the existing asset instead of being converted and uploaded again.
+ *
+ * cleanupOrphanedAssets() deletes image assets created by the syncs that no
+ * document references any more.
+ */
+
+import crypto from 'crypto';
+import AVIFConverter from '../../tools/avif-converter.js';
+
+export const SOURCE_NAME = '180dc-sync';
+
+class SanityImagePipeline {
+  /**
+   * @param {Object} options
+   * @param {Object} options.sanity - Sanity client
+   * @param {AVIFConverter} [options.converter] - AVIF converter instance
+   */
+  constructor({ sanity, converter = new AVIFConverter() }) {
+    this.sanity = sanity;
+    this.converter = converter;
+  }
+
+  /**
+   * Hash source image bytes
+   * @returns {string} Hex SHA-256 digest
+   */
+  static hash(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Find an image asset previously uploaded from the same source bytes
+   * @returns {Promise<string|null>} Asset ID
+   */
+  async findAssetBySourceHash(hash) {
+    const query = `*[_type == "sanity.imageAsset" && source.name == $sourceName && source.id == $hash][0]._id`;
+    return (await this.sanity.fetch(query, { sourceName: SOURCE_NAME, hash })) || null;
+  }
+
+  /**
+   * Fetch an image, reuse the matching asset or upload a new AVIF asset
+   * @param {string} imageUrl - Source image URL
+   * @param {string} filename - Asset filename without extension (e.g. "Jane_Doe_profile")
+   * @param {Object} [options] - AVIF conversion options
+   * @returns {Promise<Object>} Sanity image field value
+   */
+  async uploadFromUrl(imageUrl, filename, options = { quality: 85, effort: 4 }) {
+    const sourceBuffer = await this.converter.fetchImage(imageUrl);
+    const hash = SanityImagePipeline.hash(sourceBuffer);
+
+    let assetId = await this.findAssetBySourceHash(hash);
+    if (assetId) {
+      console.log(`♻️ Reusing existing asset for ${filename}: ${assetId}`);
+    } else {
+      const avifBuffer = await this.converter.ensureAVIF(sourceBuffer, filename, options);
+      const asset = await this.sanity.assets.upload('image', avifBuffer, {
+        filename: `${filename}.avif`,
+        contentType: 'image/avif',
+        source: { name: SOURCE_NAME, id: hash, url: imageUrl }
+      });
+      assetId = asset._id;
+      console.log(`✅ Uploaded new asset for ${filename}: ${assetId}`);
+    }
+
+    return {
+      _type: 'image',
+      asset: {
+        _type: 'reference',
+        _ref: assetId
+      }
+    };
+  }
+
+  /**
+   * Delete sync-created image assets that no document references. Only
+   * assets tagged with SOURCE_NAME are considered, so images uploaded by hand
+   * or by other tools are never deleted.
+   * @returns {Promise<{deleted: number, failed: number}>}
+   */
+  async cleanupOrphanedAssets() {
+    const query = `*[_type == "sanity.imageAsset" && source.name == $sourceName && count(*[references(^._id)]) == 0]{
+      _id,
+      originalFilename
+    }`;
+
+    const orphans = await this.sanity.fetch(query, { sourceName: SOURCE_NAME });
+
+    if (orphans.length === 0) {
+      console.log('🧹 No orphaned image assets');
+      return { deleted: 0, failed: 0 };
+    }
+
+    console.log(`🧹 Deleting ${orphans.length} orphaned image assets...`);
+    const result = { deleted: 0, failed: 0 };
+    for (const asset of orphans) {
+      try {
+        await this.sanity.delete(asset._id);
+        result.deleted++;
+      } catch (error) {
+        // Assets referenced again since the query (or by drafts) cannot be deleted
+        console.warn(`⚠️ Could not delete asset ${asset.originalFilename || asset._id}: ${error.message}`);
+        result.failed++;
+      }
+    }
+
+    console.log(`🧹 Deleted ${result.deleted} orphaned image assets`);
+    return result;
+  }
+}
+
+export default SanityImagePipeline;
@@ -0,0 +1,189 @@
+/**
+ * Usergroup Rule Engine
+ *
+ * Derives Slack usergroup memberships from roster members using declarative
+ * rules (see config/slack-usergroups.json). Each rule declares:
+ * - handle: fixed handle ("p-vp") or template over a roster field
+ *   ("{department}", "{projects}") that expands to one group per value
+ * - filter: member filter expression (see member-filter.js)
+ * - exclusive: members matched here are left out of every other rule
+ * - lifecycle: { autoCreate, disableWhenEmpty }
+ * - priority: groups of higher-priority rules are updated first (default 0)
+ */
+
+import { compileFilter, validateFilter, FILTER_FIELDS } from './member-filter.js';
+
+const TEMPLATE_PATTERN = /\{([a-zA-Z]+)\}/g;
+
+const DEFAULT_LIFECYCLE = {
+  autoCreate: true,
+  disableWhenEmpty: true
+};
+
+/**
+ * @typedef {Object} UsergroupTargets
+ * @property {Object<string, Set<string>>} groupsByHandle - Handle → member emails
+ * @property {Object<string, {autoCreate: boolean, disableWhenEmpty: boolean, rule: string}>} lifecycleByHandle
+ * @property {string[]} priorityEmails - Emails outside exclusive rules first
+ */
+
+class UsergroupRuleEngine {
+  /**
+   * @param {Object} config - Parsed rule config ({ settings, rules })
+   * @param {Object} options
+   * @param {(value: string) => string} options.toHandle - Turns a rendered handle into a Slack handle
+   */
+  constructor(config, { toHandle }) {
+    const errors = UsergroupRuleEngine.validate(config);
+    if (errors.length > 0) {
+      throw new Error(`Invalid usergroup rules:\n  ${errors.join('\n  ')}`);
+    }
+
+    this.toHandle = toHandle;
+    this.settings = { disableUnmanaged: true, ...(config.settings || {}) };
+    this.rules = config.rules
+      .filter(rule => rule.enabled !== false)
+      .map(rule => ({
+        name: rule.name,
+        handle: rule.handle,
+        exclusive: !!rule.exclusive,
+        priority: rule.priority || 0,
+        lifecycle: { ...DEFAULT_LIFECYCLE, ...(rule.lifecycle || {}) },
+        matches: compileFilter(rule.filter)
+      }));
+  }
+
+  /**
+   * Validate a rule config
+   * @returns {string[]} Validation errors (empty when valid)
+   */
+  static validate(config) {
+    if (!config || !Array.isArray(config.rules) || config.rules.length === 0) {
+      return ['rules: must be a non-empty array'];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    config.rules.forEach((rule, i) => {
+      const where = `rules[${i}]${rule?.name ? ` (${rule.name})` : ''}`;
+
+      if (!rule?.name || typeof rule.name !== 'string') {
+        errors.push(`${where}.name: required`);
+      } else if (names.has(rule.name)) {
+        errors.push(`${where}.name: duplicate rule name`);
+      } else {
+        names.add(rule.name);
+      }
+
+      if (!rule?.handle || typeof rule.handle !== 'string') {
+        errors.push(`${where}.handle: required`);
+      } else {
+        for (const [, field] of rule.handle.matchAll(TEMPLATE_PATTERN)) {
+          if (!FILTER_FIELDS.includes(field)) {
+            errors.push(`${where}.handle: unknown template field "{${field}}"`);
+          }
+        }
+      }
+
+      errors.push(...validateFilter(rule?.filter, `${where}.filter`));
+
+      if (rule?.priority !== undefined && !Number.isInteger(rule.priority)) {
+        errors.push(`${where}.priority: must be an integer`);
+      }
+
+      const lifecycle = rule?.lifecycle || {};
+      Object.entries(lifecycle).forEach(([key, value]) => {
+        if (!(key in DEFAULT_LIFECYCLE)) {
+          errors.push(`${where}.lifecycle.${key}: unknown option`);
+        } else if (typeof value !== 'boolean') {
+          errors.push(`${where}.lifecycle.${key}: must be true or false`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Expand a rule's handle template for a member
+   * @returns {string[]} Slack handles (empty when a template field is blank)
+   */
+  renderHandles(template, member) {
+    const fields = [...template.matchAll(TEMPLATE_PATTERN)].map(m => m[1]);
+    if (fields.length === 0) return [this.toHandle(template)];
+
+    let rendered = [template];
+    for (const field of fields) {
+      const raw = member[field];
+      const values = (Array.isArray(raw) ? raw : [raw])
+        .map(v => String(v || '').trim())
+        .filter(Boolean);
+      rendered = rendered.flatMap(handle => values.map(v => handle.replace(`{${field}}`, v)));
+    }
+
+    return rendered.map(handle => this.toHandle(handle)).filter(Boolean);
+  }
+
+  /**
+   * Evaluate all rules against the roster
+   * @param {Object[]} members - Roster members
+   * @returns {UsergroupTargets}
+   */
+  evaluate(members) {
+    const groupsByHandle = {};
+    const lifecycleByHandle = {};
+
+    const ensure = (handle, rule) => {
+      if (!groupsByHandle[handle]) {
+        groupsByHandle[handle] = new Set();
+        lifecycleByHandle[handle] = { ...rule.lifecycle, rule: rule.name };
+      }
+      return groupsByHandle[handle];
+    };
+
+    // Fixed handles always exist, even when nobody matches
+    this.rules
+      .filter(rule => !rule.handle.match(TEMPLATE_PATTERN))
+      .forEach(rule => ensure(this.toHandle(rule.handle), rule));
+
+    const exclusiveRules = this.rules.filter(rule => rule.exclusive);
+    const sharedRules = this.rules.filter(rule => !rule.exclusive);
+    const prioritized = [];
+    const others = [];
+
+    for (const member of members) {
+      const exclusive = exclusiveRules.filter(rule => rule.matches(member));
+      const rules = exclusive.length > 0 ? exclusive : sharedRules.filter(rule => rule.matches(member));
+
+      for (const rule of rules) {
+        this.renderHandles(rule.handle, member).forEach(handle => ensure(handle, rule).add(member.email));
+      }
+
+      (exclusive.length > 0 ? others : prioritized).push(member.email);
+    }
+
+    return {
+      groupsByHandle,
+      lifecycleByHandle,
+      priorityEmails: [...new Set([...prioritized, ...others])]
+    };
+  }
+
+  /**
+   * Order handles for the membership updates: by the priority of the rule
+   * that produced them (highest first), then in their current order
+   * @param {string[]} handles
+   * @param {Object<string, {rule: string}>} lifecycleByHandle - From evaluate()
+   */
+  orderHandles(handles, lifecycleByHandle) {
+    const priorityByRule = new Map(this.rules.map(rule => [rule.name, rule.priority]));
+    const priorityOf = handle => priorityByRule.get(lifecycleByHandle[handle]?.rule) || 0;
+    return handles
+      .map((handle, index) => ({ handle, index }))
+      .sort((a, b) => priorityOf(b.handle) - priorityOf(a.handle) || a.index - b.index)
+      .map(({ handle }) => handle);
+  }
+}
+
+export default UsergroupRuleEngine;
@@ -9,6 +9,10 @@
  * Features:
  * - Header-based mapping (dynamic column detection)
  * - Incremental sync (updates existing, creates new, archives missing)
+ * - Pages matched on the "Client ID" column / property (title only for legacy pages)
+ * - Field ownership per property (config/notion-field-ownership.json)
+ * - Opt-in write-back of Notion edits to designated sheet columns
+ * - People (by email), relation (by title), status and checkbox columns
  * - Rate limiting and error handling
  * - Extensive logging for debugging
  */
@@ -16,6 +20,8 @@
 import { google } from 'googleapis';
 import { WebClient } from '@slack/web-api';
 import dotenv from 'dotenv';
+import { loadFieldOwnership, comparablePropertyValue, emptyPropertyValue, isEmptyCell } from './lib/field-ownership.js';
+import NotionLookups, { toCheckbox } from './lib/notion-lookups.js';
 
 dotenv.config();
 
@@ -41,8 +47,20 @@ class NotionClientSync {
     // Configuration
     this.config = {
       SHEET_NAME: 'Client Database',
-      RATE_LIMIT_MS: 350
+      RATE_LIMIT_MS: 350,
+      // Stable client identifier: sheet column and Notion property (text)
+      ID_PROPERTY: 'Client ID',
+      // Hidden tab of the client spreadsheet holding the last run and the last
+      // synced value of each write-back column, for conflict detection
+      WRITE_BACK_STATE_SHEET: process.env.NOTION_WRITE_BACK_STATE_SHEET || '_write_back_state'
     };
+
+    // Which side owns each property on updates (sheet, notion, fill-if-empty)
+    this.ownership = loadFieldOwnership('clients');
+    // Columns whose Notion edits are written back to the sheet (needs a writable Sheets scope)
+    this.writeBackColumns = this.ownership.writeBack;
+    // Workspace users and related database titles for people / relation columns
+    this.lookups = new NotionLookups({ token: this.notionToken, apiBase: this.notionApiBase, apiVersion: this.notionApiVersion });
   }
 
   /**
@@ -143,7 +161,9 @@ class NotionClientSync {
           auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
           client_x509_cert_url: `https://www.googleapis.com/robot/v1/metadata/x509/${process.env.GOOGLE_CLIENT_EMAIL}`
         },
-        scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
+        scopes: [this.writeBackColumns.length > 0
+          ? 'https://www.googleapis.com/auth/spreadsheets'
+          : 'https://www.googleapis.com/auth/spreadsheets.readonly']
       });
 
       this.sheets = google.sheets({ version: 'v4', auth });
@@ -179,6 +199,7 @@ class NotionClientSync {
       }
       
       const actualSheetName = targetSheet.properties.title;
+      this.sheetTitle = actualSheetName;
       console.log(`📊 Using sheet: "${actualSheetName}"`);
       
       const response = await this.sheets.spreadsheets.values.get({
@@ -318,10 +339,56 @@ class NotionClientSync {
     return p.title[0].plain_text || p.title[0].text?.content || '';
   }
 
+  /**
+   * Index existing pages for matching: by Client ID, and by title for legacy
+   * pages that don't have an ID yet
+   * @returns {{byId: Map<string, Object>, legacyByTitle: Map<string, Object[]>}}
+   */
+  indexExistingPages(pages, titleProp, idProp) {
+    const byId = new Map();
+    const legacyByTitle = new Map();
+
+    pages.forEach(page => {
+      const clientId = idProp ? comparablePropertyValue(page.properties?.[idProp]) : '';
+      if (clientId) {
+        if (byId.has(clientId)) {
+          console.warn(`⚠️ ${this.config.ID_PROPERTY} "${clientId}" is on several Notion pages; using ${byId.get(clientId).id}, ignoring ${page.id}`);
+        } else {
+          byId.set(clientId, page);
+        }
+        return;
+      }
+
+      const title = this.getTitleFromPage(page, titleProp);
+      if (!title) return;
+      if (!legacyByTitle.has(title)) legacyByTitle.set(title, []);
+      legacyByTitle.get(title).push(page);
+    });
+
+    return { byId, legacyByTitle };
+  }
+
+  /**
+   * Existing page of a sheet row: by Client ID, otherwise (one-time migration)
+   * the first unclaimed legacy page with the same title
+   * @returns {{page: Object|null, migrated: boolean}}
+   */
+  findPageForRow(clientId, titleText, index, claimed) {
+    const byId = clientId ? index.byId.get(clientId) : null;
+    if (byId && !claimed.has(byId.id)) {
+      return { page: byId, migrated: false };
+    }
+
+    const legacy = (index.legacyByTitle.get(titleText) || []).find(page => !claimed.has(page.id));
+    return { page: legacy || null, migrated: Boolean(legacy && clientId) };
+  }
+
   /**
    * Convert value to Notion property based on type
+   * @param {string} [propertyName] - For lookup warnings
+   * @param {Object} [property] - Property schema (status options, relation target)
    */
-  valueToNotionProp(value, notionType) {
+  valueToNotionProp(value, notionType, propertyName = notionType, property = {}) {
     const v = (value === null || value === undefined) ? '' : String(value).trim();
     if (!v) return null;
 
@@ -368,13 +435,21 @@ class NotionClientSync {
         return { date: { start: d.toISOString() } };
       }
 
-      // Skip auto-mapped types to avoid clobbering
       case 'people':
+        return this.lookups.toPeople(v, propertyName);
+
       case 'relation':
-      case 'formula':
-      case 'rollup':
+        return this.lookups.toRelation(v, propertyName, property);
+
       case 'status':
+        return this.lookups.toStatus(v, propertyName, property);
+
       case 'checkbox':
+        return toCheckbox(v);
+
+      // Computed by Notion
+      case 'formula':
+      case 'rollup':
         return null;
 
       default:
@@ -385,9 +460,11 @@ class NotionClientSync {
 
   /**
    * Build properties from row data
+   * @param {Set<string>} [heldProps] - Properties left untouched (unresolved write-back conflicts)
    */
-  async buildPropsFromRow(row, headerMap, schema, titleProp, isUpdate = false, existingProps = {}) {
+  async buildPropsFromRow(row, headerMap, schema, titleProp, isUpdate = false, existingProps = {}, heldProps = new Set()) {
     const props = {};
+    const pageKey = String(row[headerMap[titleProp]] || '').trim() || '(no title)';
     
     console.log(`🔍 Available columns:`, Object.keys(schema));
     console.log(`🔍 Header map keys:`, Object.keys(headerMap));
@@ -405,6 +482,7 @@ class NotionClientSync {
         }
       }
       if (idx === undefined) continue; // header not present in sheet
+      if (heldProps.has(propName)) continue;
       const notionType = schema[propName].type;
 
       // Title must always be set even if empty
@@ -416,58 +494,31 @@ class NotionClientSync {
       }
 
       const cell = row[idx];
-      
-      // For updates, skip properties that already have values (add-only logic)
-      if (isUpdate && existingProps[propName]) {
-        const existingValue = existingProps[propName];
-        // Type-aware non-empty check to avoid false positives (e.g. undefined !== null on number)
-        const hasValue = Boolean(
-          // title
-          (Array.isArray(existingValue.title) && existingValue.title[0]?.text?.content?.trim()) ||
-          // rich_text
-          (Array.isArray(existingValue.rich_text) && existingValue.rich_text[0]?.text?.content?.trim()) ||
-          // url/email/phone
-          (typeof existingValue.url === 'string' && existingValue.url.trim()) ||
-          (typeof existingValue.email === 'string' && existingValue.email.trim()) ||
-          (typeof existingValue.phone_number === 'string' && existingValue.phone_number.trim()) ||
-          // number (ensure key exists and is a number)
-          (Object.prototype.hasOwnProperty.call(existingValue, 'number') && typeof existingValue.number === 'number' && !Number.isNaN(existingValue.number)) ||
-          // select
-          (existingValue.select && typeof existingValue.select.name === 'string' && existingValue.select.name.trim()) ||
-          // multi_select
-          (Array.isArray(existingValue.multi_select) && existingValue.multi_select.length > 0) ||
-          // files
-          (Array.isArray(existingValue.files) && existingValue.files.length > 0) ||
-          // date
-          (existingValue.date && existingValue.date.start)
-        );
-        if (hasValue) {
-          console.log(`⏭️ Skipping "${propName}" - already has value`);
-          continue;
-        }
-      }
-      
+      let pv;
+
       // Handle file properties as external links only
       if (notionType === 'files' && cell && cell.trim() !== '') {
         console.log(`📄 Processing file column "${propName}" with value: "${cell}"`);
         const fileUrl = cell.trim();
-        if (fileUrl) {
-          // Create external file link
-          const fileObj = {
+        // Create external file link
+        pv = {
+          files: [{
             type: 'external',
             name: fileUrl.split('/').pop() || 'Document',
             external: { url: fileUrl }
-          };
-          props[propName] = { files: [fileObj] };
-          console.log(`✅ Added external file link to property "${propName}"`);
-        } else {
-          console.log(`⚠️ No valid file URL found for "${propName}"`);
-        }
-        continue;
+          }]
+        };
+      } else {
+        pv = this.valueToNotionProp(cell, notionType, propName, schema[propName]);
+      }
+      // Empty cells of existing pages may clear the property (sheet-owned only)
+      if (!pv && isUpdate && isEmptyCell(cell)) pv = emptyPropertyValue(notionType);
+      if (!pv) continue;
+
+      // On updates, the field ownership policy decides whether the sheet value is written
+      if (this.ownership.shouldWrite(propName, pv, existingProps[propName], { isNew: !isUpdate, pageKey })) {
+        props[propName] = pv;
       }
-      
-      const pv = this.valueToNotionProp(cell, notionType);
-      if (pv) props[propName] = pv;
     }
     
     // For new pages, set Archive to "Not Archived"
@@ -577,6 +628,318 @@ class NotionClientSync {
   }
 
 
+  /**
+   * Sheet cell text of a Notion property value (null for types that can't be written back)
+   */
+  notionPropToCellValue(property) {
+    if (!property) return null;
+
+    switch (property.type) {
+      case 'title':
+      case 'rich_text':
+        return (property[property.type] || []).map(part => part.plain_text ?? part.text?.content ?? '').join('');
+      case 'select':
+        return property.select?.name || '';
+      case 'multi_select':
+        return (property.multi_select || []).map(option => option.name).join(', ');
+      case 'number':
+        return property.number === null || property.number === undefined ? '' : String(property.number);
+      case 'date':
+        return property.date?.start || '';
+      case 'url':
+      case 'email':
+      case 'phone_number':
+        return property[property.type] || '';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Match the configured write-back columns to sheet headers and Notion properties
+   * @returns {Array<{column: string, header: string, prop: string, type: string}>}
+   */
+  resolveWriteBackColumns(headerMap, schema, titleProp, idProp) {
+    const writable = ['rich_text', 'select', 'multi_select', 'number', 'date', 'url', 'email', 'phone_number'];
+    const resolved = [];
+
+    this.writeBackColumns.forEach(column => {
+      const header = Object.keys(headerMap).find(h => h.toLowerCase() === column.toLowerCase());
+      const prop = Object.keys(schema).find(k => k.toLowerCase() === column.toLowerCase());
+      if (!header || !prop) {
+        console.warn(`⚠️ Write-back column "${column}" is not ${header ? 'a Notion property' : 'a sheet column'} - skipped`);
+      } else if (prop === titleProp || prop === idProp) {
+        console.warn(`⚠️ Write-back column "${column}" identifies the client and is never written back - skipped`);
+      } else if (!writable.includes(schema[prop].type)) {
+        console.warn(`⚠️ Write-back column "${column}" is a ${schema[prop].type} property, which can't be written back - skipped`);
+      } else {
+        resolved.push({ column, header, prop, type: schema[prop].type });
+      }
+    });
+
+    console.log(`↩️ Write-back columns: ${resolved.map(({ header }) => header).join(', ') || '(none)'}`);
+    return resolved;
+  }
+
+  /**
+   * Write-back state of the previous run: { lastRun, rows: { clientId: { header: value } } },
+   * where a value is the last one the sheet and Notion agreed on
+   *
+   * Kept in a hidden tab of the client spreadsheet, so it survives between
+   * runs wherever the sync runs. Layout: A1 "Last run", B1 the timestamp;
+   * row 2 "Client ID" and the write-back column headers; then one row per
+   * client (an empty cell means no value was synced yet).
+   */
+  async loadWriteBackState() {
+    const empty = { lastRun: null, rows: {} };
+    if (!(await this.findWriteBackStateSheet())) return empty;
+
+    const response = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.sheetsId,
+      range: `'${this.writeBackStateSheet.replace(/'/g, "''")}'`
+    });
+    const [meta = [], header = [], ...rows] = response.data.values || [];
+    const lastRun = meta[0] === 'Last run' && meta[1] ? meta[1] : null;
+    if (!lastRun) {
+      console.warn(`⚠️ Write-back state tab "${this.writeBackStateSheet}" has no last run time - starting over`);
+      return empty;
+    }
+
+    const state = { lastRun, rows: {} };
+    rows.forEach(row => {
+      const clientId = String(row[0] || '').trim();
+      if (!clientId) return;
+      state.rows[clientId] = {};
+      header.slice(1).forEach((column, i) => {
+        if (row[i + 1] !== undefined && row[i + 1] !== '') state.rows[clientId][column] = row[i + 1];
+      });
+    });
+    return state;
+  }
+
+  async saveWriteBackState(state) {
+    const columns = [...new Set(Object.values(state.rows).flatMap(recorded => Object.keys(recorded)))];
+    const values = [
+      ['Last run', state.lastRun],
+      ['Client ID', ...columns],
+      ...Object.entries(state.rows).map(([clientId, recorded]) => [
+        clientId,
+        ...columns.map(column => recorded[column] ?? '')
+      ])
+    ];
+
+    if (!(await this.findWriteBackStateSheet())) {
+      await this.sheets.spreadsheets.batchUpdate({
+        spreadsheetId: this.sheetsId,
+        requestBody: {
+          requests: [{ addSheet: { properties: { title: this.config.WRITE_BACK_STATE_SHEET, hidden: true } } }]
+        }
+      });
+      this.writeBackStateSheet = this.config.WRITE_BACK_STATE_SHEET;
+      console.log(`📄 Created hidden write-back state tab "${this.writeBackStateSheet}"`);
+    }
+
+    const range = `'${this.writeBackStateSheet.replace(/'/g, "''")}'`;
+    await this.sheets.spreadsheets.values.clear({ spreadsheetId: this.sheetsId, range });
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.sheetsId,
+      range: `${range}!A1`,
+      // RAW: recorded values are never interpreted as formulas or dates
+      valueInputOption: 'RAW',
+      requestBody: { values }
+    });
+    console.log(`💾 Saved write-back state to the "${this.writeBackStateSheet}" tab (${values.length - 2} clients)`);
+  }
+
+  /**
+   * Title of the write-back state tab, matched case-insensitively (null when missing)
+   */
+  async findWriteBackStateSheet() {
+    if (this.writeBackStateSheet) return this.writeBackStateSheet;
+
+    const spreadsheet = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.sheetsId,
+      fields: 'sheets.properties.title'
+    });
+    const wanted = this.config.WRITE_BACK_STATE_SHEET.toLowerCase();
+    const sheet = (spreadsheet.data.sheets || []).find(candidate => candidate.properties?.title?.toLowerCase() === wanted);
+    this.writeBackStateSheet = sheet ? sheet.properties.title : null;
+    return this.writeBackStateSheet;
+  }
+
+  /**
+   * Three-way compare of the write-back columns, property by property: the
+   * value the sheet and Notion last agreed on, the sheet now and Notion now.
+   * Only Notion changed → write back; both changed → conflict; only the sheet
+   * changed → left to the forward sync. Columns without an agreed value yet,
+   * and empty Notion values, are never written back.
+   * @returns {{updates: Array, conflicts: Array}}
+   */
+  planWriteBack(clients, columns, idHeader, titleProp, pageIndex, state) {
+    const updates = [];
+    const conflicts = [];
+    if (!state.lastRun) return { updates, conflicts };
+
+    const seen = new Set();
+    clients.forEach(client => {
+      const clientId = String(client[idHeader] || '').trim();
+      const page = clientId && !seen.has(clientId) ? pageIndex.byId.get(clientId) : null;
+      seen.add(clientId);
+      if (!page) return;
+
+      columns.forEach(({ header, prop, type }) => {
+        const notionValue = comparablePropertyValue(page.properties?.[prop]);
+        if (!notionValue) return;
+
+        const sheetText = String(client[header] || '').trim();
+        const sheetValue = this.comparableCellValue(sheetText, type);
+        if (notionValue === sheetValue) return;
+
+        const synced = state.rows[clientId]?.[header];
+        if (synced === undefined) return;
+        const syncedValue = this.comparableCellValue(synced, type);
+        if (notionValue === syncedValue) return; // only the sheet changed: the forward sync handles it
+
+        const entry = {
+          clientId,
+          title: this.getTitleFromPage(page, titleProp),
+          header,
+          prop,
+          rowIndex: client._rowIndex,
+          sheet: sheetText,
+          notion: this.notionPropToCellValue(page.properties[prop])
+        };
+        if (sheetValue === syncedValue) {
+          updates.push(entry);
+        } else {
+          conflicts.push(entry);
+        }
+      });
+    });
+
+    return { updates, conflicts };
+  }
+
+  /**
+   * Comparable text of a sheet cell as the Notion property type would hold it
+   */
+  comparableCellValue(text, type) {
+    return comparablePropertyValue(this.valueToNotionProp(text, type));
+  }
+
+  /**
+   * Reverse sync: write Notion edits of the write-back columns to the sheet
+   * (and to the loaded rows, so the forward sync sees them). Conflicting
+   * properties are held back from the forward sync until resolved.
+   * @param {{idProp: string, idHeader: string}|null} ids - Client ID property and column
+   * @returns {Promise<{enabled: boolean, updates: Array, conflicts: Array, held: Map<string, Set<string>>, snapshot: Function}>}
+   */
+  async writeBackNotionEdits(clients, headerMap, schema, titleProp, ids, pageIndex) {
+    const disabled = { enabled: false, updates: [], conflicts: [], held: new Map(), snapshot: null };
+    if (this.writeBackColumns.length === 0) return disabled;
+    if (!ids) {
+      console.warn(`⚠️ Write-back needs the "${this.config.ID_PROPERTY}" column and property - skipped`);
+      return disabled;
+    }
+
+    const columns = this.resolveWriteBackColumns(headerMap, schema, titleProp, ids.idProp);
+    const state = await this.loadWriteBackState();
+    if (!state.lastRun) {
+      console.log('↩️ No previous write-back state - recording the values both sides agree on, nothing is written back this run');
+    }
+
+    const { updates, conflicts } = this.planWriteBack(clients, columns, ids.idHeader, titleProp, pageIndex, state);
+    await this.applyWriteBack(updates, headerMap);
+    updates.forEach(({ rowIndex, header, notion }) => {
+      const client = clients.find(c => c._rowIndex === rowIndex);
+      client[header] = notion;
+    });
+
+    const held = new Map();
+    conflicts.forEach(({ clientId, prop }) => {
+      if (!held.has(clientId)) held.set(clientId, new Set());
+      held.get(clientId).add(prop);
+    });
+
+    // Values to compare against next run: a column only advances when the sheet
+    // and Notion agree after this run (the forward sync wrote the sheet value,
+    // the value was written back, or both already matched). Otherwise - held
+    // conflicts, properties the ownership policy didn't let the sync write -
+    // the previously agreed value is kept, so a sheet edit is never mistaken
+    // for a Notion edit and reverted.
+    // `synced` maps client IDs to the pages Notion returned from this run's writes.
+    const snapshot = (rows, lastRun, synced) => {
+      const recorded = {};
+      rows.forEach(client => {
+        const clientId = String(client[ids.idHeader] || '').trim();
+        if (!clientId || recorded[clientId]) return;
+        const page = synced.get(clientId) || pageIndex.byId.get(clientId);
+        if (!page) return;
+
+        recorded[clientId] = {};
+        columns.forEach(({ header, prop, type }) => {
+          const sheetText = String(client[header] || '').trim();
+          const notionValue = comparablePropertyValue(page.properties?.[prop]);
+          const previous = state.rows[clientId]?.[header];
+          if (this.comparableCellValue(sheetText, type) === notionValue) {
+            recorded[clientId][header] = sheetText;
+          } else if (previous !== undefined) {
+            recorded[clientId][header] = previous;
+          }
+        });
+      });
+      return { lastRun, rows: recorded };
+    };
+
+    return { enabled: true, updates, conflicts, held, snapshot };
+  }
+
+  /**
+   * Write Notion values back to their sheet cells in one batch
+   */
+  async applyWriteBack(updates, headerMap) {
+    if (updates.length === 0) return;
+
+    const columnLetter = index => {
+      let letter = '';
+      for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+      }
+      return letter;
+    };
+
+    await this.sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.sheetsId,
+      requestBody: {
+        // RAW: Notion text is never interpreted as a formula
+        valueInputOption: 'RAW',
+        data: updates.map(({ header, rowIndex, notion }) => ({
+          range: `'${this.sheetTitle.replace(/'/g, "''")}'!${columnLetter(headerMap[header])}${rowIndex}`,
+          values: [[notion]]
+        }))
+      }
+    });
+
+    updates.forEach(({ title, clientId, header, sheet, notion }) => {
+      console.log(`↩️ ${title || clientId} → ${header}: "${sheet}" → "${notion}"`);
+    });
+  }
+
+  /**
+   * Log the write-back conflicts of the run
+   */
+  reportWriteBackConflicts(conflicts) {
+    if (conflicts.length === 0) {
+      console.log('✅ No write-back conflicts');
+      return;
+    }
+
+    console.log(`\n⚠️ ${conflicts.length} write-back conflicts - edited in both the sheet and Notion, neither side changed:`);
+    conflicts.forEach(({ title, clientId, header, sheet, notion }) => {
+      console.log(`  • ${title || clientId} [${clientId}] → ${header}: sheet "${sheet}" ≠ Notion "${notion}"`);
+    });
+  }
+
   /**
    * Sleep utility
    */
@@ -616,47 +979,80 @@ class NotionClientSync {
       }
       
       console.log(`📋 Detected title property: "${titleProp}"`);
+      const syncedProps = Object.keys(schema).filter(propName =>
+        propName !== titleProp && Object.keys(headerMap).some(header => header.toLowerCase() === propName.toLowerCase())
+      );
+      this.ownership.logPolicy(syncedProps);
+      await this.lookups.load(Object.fromEntries(syncedProps.map(propName => [propName, schema[propName]])));
+      
+      // Client ID property: without it pages can only be matched by title
+      const idProp = Object.keys(schema).find(k => k.toLowerCase() === this.config.ID_PROPERTY.toLowerCase() && schema[k].type === 'rich_text');
+      const idHeader = Object.keys(headerMap).find(header => header.toLowerCase() === this.config.ID_PROPERTY.toLowerCase());
+      if (!idProp || !idHeader) {
+        console.warn(`⚠️ No "${this.config.ID_PROPERTY}" ${idProp ? 'sheet column' : 'text property in Notion'} - matching pages by title`);
+      }
       
       // Get existing pages
+      const runStartedAt = new Date().toISOString();
       const existingPages = await this.queryAllPages();
-      const byTitle = {};
-      existingPages.forEach(p => {
-        const t = this.getTitleFromPage(p, titleProp);
-        if (t) byTitle[t] = p;
-      });
+      const pageIndex = this.indexExistingPages(existingPages, titleProp, idProp && idHeader ? idProp : null);
+      
+      // Write Notion edits back to the sheet before the sheet is synced to Notion
+      const writeBack = await this.writeBackNotionEdits(clients, headerMap, schema, titleProp, idProp && idHeader ? { idProp, idHeader } : null, pageIndex);
       
       // Process clients
-      let created = 0, updated = 0, errors = 0;
-      const sheetTitles = new Set();
+      let created = 0, updated = 0, migrated = 0, errors = 0;
+      const claimed = new Set();
+      const syncedPages = new Map(); // client ID → page as Notion returned it after the write
+      const sheetIds = new Set();
       
       for (let i = 0; i < clients.length; i++) {
         try {
           const client = clients[i];
           const row = Object.keys(headerMap).map(header => client[header]);
           const titleText = row[headerMap[titleProp]] || '';
-          const logKey = `${titleText || '(no title)'} @row=${i + 2}`;
+          const clientId = idProp && idHeader ? String(client[idHeader] || '').trim() : '';
+          const logKey = `${titleText || '(no title)'}${clientId ? ` [${clientId}]` : ''} @row=${i + 2}`;
 
           if (!titleText) {
             console.log(`⚠️  Skipping row ${i + 2}: empty "${titleProp}"`);
             continue;
           }
+          if (clientId && sheetIds.has(clientId)) {
+            console.error(`❌ Skipping row ${i + 2}: duplicate ${this.config.ID_PROPERTY} "${clientId}"`);
+            errors++;
+            continue;
+          }
+          if (clientId) {
+            sheetIds.add(clientId);
+          } else if (idProp && idHeader) {
+            console.warn(`⚠️ Row ${i + 2} has no ${this.config.ID_PROPERTY} - matching "${titleText}" by title`);
+          }
           
           console.log(`\n📋 Processing ${logKey}:`);
-          
-          sheetTitles.add(titleText);
 
-          const existing = byTitle[titleText];
+          const { page: existing, migrated: isMigration } = this.findPageForRow(clientId, titleText, pageIndex, claimed);
           if (existing) {
-            console.log(`📝 Row ${i + 2}: updating "${titleText}"...`);
-            // Get existing properties for add-only logic
+            claimed.add(existing.id);
+            console.log(`📝 Row ${i + 2}: updating "${titleText}"${isMigration ? ` and setting its ${this.config.ID_PROPERTY}` : ''}...`);
             const existingProps = existing.properties || {};
-            const { props } = await this.buildPropsFromRow(row, headerMap, schema, titleProp, true, existingProps);
-            await this.updatePage(existing.id, props, logKey);
+            const { props } = await this.buildPropsFromRow(row, headerMap, schema, titleProp, true, existingProps, writeBack.held.get(clientId));
+            if (clientId) {
+              // The ID is sync-owned, whatever the ownership policy says
+              props[idProp] = { rich_text: [{ text: { content: clientId } }] };
+            }
+            const page = await this.updatePage(existing.id, props, logKey);
+            if (clientId) syncedPages.set(clientId, page);
             updated++;
+            if (isMigration) migrated++;
           } else {
             console.log(`📝 Row ${i + 2}: creating "${titleText}"...`);
             const { props } = await this.buildPropsFromRow(row, headerMap, schema, titleProp, false);
-            await this.createPage(props, logKey);
+            if (clientId) {
+              props[idProp] = { rich_text: [{ text: { content: clientId } }] };
+            }
+            const page = await this.createPage(props, logKey);
+            if (clientId) syncedPages.set(clientId, page);
             created++;
           }
 
@@ -667,25 +1063,39 @@ class NotionClientSync {
         }
       }
       
-      // Set Archived property for pages that are no longer in the sheet
+      // Set Archived property for titled pages no sheet row matched (untitled
+      // pages were never synced from the sheet; archived ones are already done)
       let archived = 0;
-      for (const title of Object.keys(byTitle)) {
-        if (!sheetTitles.has(title)) {
-          try {
-            await this.setArchivedProperty(byTitle[title].id, title, true);
-            archived++;
-            await this.sleep(this.config.RATE_LIMIT_MS);
-          } catch (error) {
-            console.error(`❌ Archive property update failed for "${title}":`, error);
-          }
+      for (const page of existingPages) {
+        if (claimed.has(page.id)) continue;
+        const title = this.getTitleFromPage(page, titleProp);
+        if (!title || page.properties?.Archive?.select?.name === 'Archived') continue;
+        try {
+          await this.setArchivedProperty(page.id, title, true);
+          archived++;
+          await this.sleep(this.config.RATE_LIMIT_MS);
+        } catch (error) {
+          console.error(`❌ Archive property update failed for "${title}":`, error);
         }
       }
       
+      const conflicts = this.ownership.reportConflicts();
+      if (writeBack.enabled) {
+        this.reportWriteBackConflicts(writeBack.conflicts);
+        await this.saveWriteBackState(writeBack.snapshot(clients, runStartedAt, syncedPages));
+      }
+
       console.log('\n🎉 Sync completed successfully!');
       console.log('📊 Sync Summary:');
       console.log(`  • Created: ${created}`);
       console.log(`  • Updated: ${updated}`);
+      console.log(`  • ${this.config.ID_PROPERTY} backfilled: ${migrated}`);
       console.log(`  • Archived: ${archived}`);
+      console.log(`  • Ownership conflicts: ${conflicts}`);
+      if (writeBack.enabled) {
+        console.log(`  • Written back to sheet: ${writeBack.updates.length}`);
+        console.log(`  • Write-back conflicts: ${writeBack.conflicts.length}`);
+      }
       console.log(`  • Errors: ${errors}`);
       
     } catch (error) {
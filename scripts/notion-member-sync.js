@@ -7,7 +7,11 @@
  * Syncs Google Sheets member data with Notion database
  * 
  * Features:
- * - Incremental sync (updates existing, creates new, archives missing)
+ * - Incremental sync: pages are matched by Email 180 / Email ESCP, only
+ *   changed properties are updated, new members are created and departed
+ *   members get Archive = "Archived" (pages are never trashed)
+ * - Field ownership per property (config/notion-field-ownership.json)
+ * - Number, checkbox and relation (by page title) columns
  * - Slack profile picture integration
  * - Phone number cleaning
  * - Project handling
@@ -17,6 +21,9 @@
 import { google } from 'googleapis';
 import { WebClient } from '@slack/web-api';
 import dotenv from 'dotenv';
+import MemberRoster from './lib/member-roster.js';
+import { loadFieldOwnership, comparablePropertyValue, emptyPropertyValue, isEmptyCell } from './lib/field-ownership.js';
+import NotionLookups, { toCheckbox } from './lib/notion-lookups.js';
 
 dotenv.config();
 
@@ -34,6 +41,25 @@ class NotionMemberSync {
     
     this.notionApiBase = 'https://api.notion.com/v1';
     this.notionApiVersion = '2022-06-28';
+
+    // Notion properties used to match pages to roster members, in order of preference
+    this.emailProperties = ['Email 180', 'Email ESCP'];
+    this.archiveProperty = 'Archive';
+    // Largest share of active pages a run may archive; more means the roster
+    // was read wrong (renamed column, partial sheet), not that people left
+    this.maxArchiveShare = 0.5;
+    if (process.env.NOTION_MEMBERS_MAX_ARCHIVE_SHARE) {
+      const maxArchiveShare = Number(process.env.NOTION_MEMBERS_MAX_ARCHIVE_SHARE);
+      if (!(maxArchiveShare >= 0 && maxArchiveShare <= 1)) {
+        throw new Error('NOTION_MEMBERS_MAX_ARCHIVE_SHARE must be a number between 0 and 1');
+      }
+      this.maxArchiveShare = maxArchiveShare;
+    }
+
+    // Which side owns each property on updates (sheet, notion, fill-if-empty)
+    this.ownership = loadFieldOwnership('members');
+    // Related database titles for relation columns (e.g. Projects)
+    this.lookups = new NotionLookups({ token: this.notionToken, apiBase: this.notionApiBase, apiVersion: this.notionApiVersion });
   }
 
   /**
@@ -114,104 +140,26 @@ class NotionMemberSync {
   }
 
   /**
-   * Read member data from Google Sheets
+   * Read member data from the shared member roster
    */
   async readMembers() {
     try {
-      console.log('📊 Reading member data from Google Sheets...');
-      
-      // First, get the spreadsheet metadata to find the correct sheet name
-      const spreadsheet = await this.sheets.spreadsheets.get({
+      const roster = new MemberRoster({
+        sheets: this.sheets,
         spreadsheetId: this.sheetsId
       });
-      
-      const sheets = spreadsheet.data.sheets || [];
-      console.log(`📋 Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      
-      // Find the sheet that matches our target name (case-insensitive)
-      const targetSheet = sheets.find(sheet => 
-        sheet.properties?.title?.toLowerCase() === 'member database'
-      );
-      
-      if (!targetSheet) {
-        throw new Error(`Sheet "Member Database" not found. Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      }
-      
-      const actualSheetName = targetSheet.properties.title;
-      console.log(`📊 Using sheet: "${actualSheetName}"`);
-      
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.sheetsId,
-        range: `${actualSheetName}!A:Z`
-      });
-
-      const values = response.data.values;
-      if (!values || values.length < 2) {
-        throw new Error('No data found in sheet');
-      }
+      const { members, headers } = await roster.load();
 
-      const headers = values[0];
-      const dataRows = values.slice(1);
-      
-      // Find column indices by name
-      const getColumnIndex = (columnName) => {
-        for (let i = 0; i < headers.length; i++) {
-          if (headers[i] && headers[i].toString().toLowerCase().includes(columnName.toLowerCase())) {
-            return i;
-          }
-        }
-        return -1;
-      };
-      
-      // Dynamic column mapping - map all headers to their indices
+      // Header → column index, used for the sheet → Notion property mapping
       const columnIndices = {};
       headers.forEach((header, index) => {
-        if (header && header.toString().trim()) {
-          const cleanHeader = header.toString().trim();
-          columnIndices[cleanHeader] = index;
-        }
+        if (header) columnIndices[header] = index;
       });
-      
+
       console.log('📋 Using column indices:', columnIndices);
-      
-      // Transform rows to member objects
-      const members = dataRows.map((row, index) => {
-        // Create member object with all available columns
-        const member = {
-          rowIndex: index + 2
-        };
-        
-        // Add all columns dynamically
-        Object.keys(columnIndices).forEach(columnName => {
-          const columnIndex = columnIndices[columnName];
-          let value = row[columnIndex] || '';
-          
-          // Special handling for phone number
-          if (columnName.toLowerCase().includes('phone')) {
-            // Clean phone number - convert from scientific notation if needed
-            if (typeof value === 'number' && value.toString().includes('e')) {
-              value = value.toFixed(0);
-            }
-            value = value.toString().trim();
-            
-            // Add "+" if phone number doesn't start with it
-            if (value && !value.startsWith('+')) {
-              value = '+' + value;
-            }
-          }
-          
-          member[columnName] = value;
-        });
-        
-        return member;
-      }).filter(member => {
-        // Check if member has a name (could be "Full Name" or "Name" column)
-        const nameField = member['Full Name'] || member['Name'] || '';
-        return nameField.toString().trim();
-      }); // Only include members with names
-
-      console.log(`📊 Loaded ${members.length} members from sheet`);
-      return { members, columnIndices };
+
+      // Only include members with names
+      return { members: members.filter(member => member.fullName), columnIndices };
     } catch (error) {
       console.error('❌ Error reading members from sheet:', error);
       throw error;
@@ -291,7 +239,10 @@ class NotionMemberSync {
    * Get all existing pages from the Notion database
    */
   async getExistingPages() {
-    try {
+    const pages = [];
+    let startCursor;
+
+    do {
       const response = await fetch(`${this.notionApiBase}/databases/${this.notionDatabaseId}/query`, {
         method: 'POST',
         headers: {
@@ -299,21 +250,21 @@ class NotionMemberSync {
           'Content-Type': 'application/json',
           'Notion-Version': this.notionApiVersion
         },
-        body: JSON.stringify({})
+        body: JSON.stringify(startCursor ? { start_cursor: startCursor } : {})
       });
 
-      if (response.ok) {
-        const result = await response.json();
-        return result.results;
-      } else {
+      if (!response.ok) {
         const error = await response.text();
-        console.error('❌ Failed to get existing pages:', error);
-        return [];
+        throw new Error(`Failed to get existing pages [${response.status}]: ${error}`);
       }
-    } catch (error) {
-      console.error('❌ Error getting existing pages:', error);
-      return [];
-    }
+
+      const result = await response.json();
+      pages.push(...result.results);
+      startCursor = result.has_more ? result.next_cursor : undefined;
+    } while (startCursor);
+
+    console.log(`📊 Fetched ${pages.length} existing pages from Notion`);
+    return pages;
   }
 
   /**
@@ -394,91 +345,54 @@ class NotionMemberSync {
   }
 
   /**
-   * Get primary emails from member row data in order of preference
+   * Get primary emails from a roster member in order of preference
    * 1) Email 180
    * 2) Email ESCP
    */
-  getMemberPrimaryEmails(memberData) {
-    const emails = [];
-    const email180 = (memberData['Email 180'] || '').toString().trim();
-    const emailEscp = (memberData['Email ESCP'] || '').toString().trim();
-    if (email180) emails.push(email180);
-    if (emailEscp) emails.push(emailEscp);
-    return emails;
+  getMemberPrimaryEmails(member) {
+    return member.emails;
   }
 
   /**
-   * Delete (archive) all pages in the Notion database
+   * Lowercased emails of a Notion page, from the member email properties
    */
-  async deleteAllNotionPages() {
-    try {
-      let startCursor = undefined;
-      let total = 0;
-      do {
-        const response = await fetch(`${this.notionApiBase}/databases/${this.notionDatabaseId}/query`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.notionToken}`,
-          'Content-Type': 'application/json',
-          'Notion-Version': this.notionApiVersion
-        },
-          body: JSON.stringify({ start_cursor: startCursor })
-        });
-
-        if (!response.ok) {
-          const error = await response.text();
-          console.error('❌ Failed to list pages for deletion:', error);
-          return false;
-        }
-
-        const result = await response.json();
-        const pages = result.results || [];
-        for (const page of pages) {
-          await fetch(`${this.notionApiBase}/pages/${page.id}`, {
-            method: 'PATCH',
-            headers: {
-              'Authorization': `Bearer ${this.notionToken}`,
-              'Content-Type': 'application/json',
-              'Notion-Version': this.notionApiVersion
-            },
-            body: JSON.stringify({ archived: true })
-          });
-          total++;
-        }
-
-        startCursor = result.has_more ? result.next_cursor : undefined;
-      } while (startCursor);
+  getPageEmails(page) {
+    return this.emailProperties
+      .map(propertyName => this.getEmailFromPage(page, propertyName).toLowerCase())
+      .filter(Boolean);
+  }
 
-      return true;
-    } catch (error) {
-      console.error('❌ Error deleting all pages:', error);
-      return false;
-    }
+  /**
+   * Notion properties for a roster member, from every sheet column that has
+   * a matching database property
+   * @param {boolean} [includeEmpty] - Send empty cells as clearing values (updates; see emptyPropertyValue)
+   */
+  buildMemberProperties(member, notionProperties, includeEmpty = false) {
+    const properties = {};
+    Object.keys(member.fields).forEach(gsheetColumn => {
+      const mappedProperty = this.mapColumnToNotionProperty(gsheetColumn, notionProperties, member.fields);
+      if (mappedProperty) {
+        Object.assign(properties, mappedProperty);
+      } else if (includeEmpty && isEmptyCell(member.fields[gsheetColumn])) {
+        const notionPropertyName = Object.keys(notionProperties).find(propName => propName.toLowerCase() === gsheetColumn.toLowerCase());
+        const emptyValue = notionPropertyName ? emptyPropertyValue(notionProperties[notionPropertyName].type) : null;
+        if (emptyValue) properties[notionPropertyName] = emptyValue;
+      }
+    });
+    return properties;
   }
 
   /**
    * Create a page in the Notion database
    */
-  async createNotionPage(memberData) {
+  async createNotionPage(member, database) {
     try {
-      // Build properties dynamically based on available columns
-      const properties = {};
-      
       // Map all Google Sheets columns to Notion properties
-      const database = await this.getDatabaseSchema();
-      if (!database) {
-        throw new Error('Failed to get database schema');
+      const properties = this.buildMemberProperties(member, database.properties);
+      if (database.properties[this.archiveProperty]?.type === 'select') {
+        properties[this.archiveProperty] = { select: { name: 'Not Archived' } };
       }
 
-      Object.keys(memberData).forEach(gsheetColumn => {
-        if (gsheetColumn === 'rowIndex') return; // Skip internal fields
-        
-          const mappedProperty = this.mapColumnToNotionProperty(gsheetColumn, database.properties, memberData);
-          if (mappedProperty) {
-            Object.assign(properties, mappedProperty);
-        }
-      });
-
       const pageData = {
         parent: {
           database_id: this.notionDatabaseId
@@ -486,8 +400,13 @@ class NotionMemberSync {
         properties
       };
 
-      const memberName = (memberData['Full Name'] || memberData['Name'] || '').toString().trim();
-      console.log(`📝 Processing member: ${memberName}`);
+      const memberName = member.fullName;
+      console.log(`🆕 Creating member: ${memberName}`);
+
+      if (this.dryRun) {
+        console.log(`🧪 DRY RUN - would create ${memberName} with ${Object.keys(properties).join(', ')}`);
+        return { id: null };
+      }
 
       const response = await fetch(`${this.notionApiBase}/pages`, {
         method: 'POST',
@@ -501,16 +420,7 @@ class NotionMemberSync {
 
       if (response.ok) {
         const result = await response.json();
-        // Try to set Slack profile picture as cover
-        const primaryEmails = this.getMemberPrimaryEmails(memberData);
-        for (const email of primaryEmails) {
-          const profilePicture = await this.getSlackProfilePicture(email);
-          if (profilePicture) {
-            await this.setNotionPageCover(result.id, profilePicture);
-            break;
-          }
-        }
-        
+        await this.setCoverFromSlack(result.id, member);
         return result;
       } else {
         const error = await response.text();
@@ -518,20 +428,79 @@ class NotionMemberSync {
         return null;
       }
     } catch (error) {
-      const memberName = (memberData['Full Name'] || memberData['Name'] || '').toString().trim();
-      console.error(`❌ Error creating page for ${memberName}:`, error);
+      console.error(`❌ Error creating page for ${member.fullName}:`, error);
       return null;
     }
   }
 
+  /**
+   * Try the member's Slack profile pictures as the page cover
+   */
+  async setCoverFromSlack(pageId, member) {
+    const primaryEmails = this.getMemberPrimaryEmails(member);
+    for (const email of primaryEmails) {
+      const profilePicture = await this.getSlackProfilePicture(email);
+      if (profilePicture) {
+        return await this.setNotionPageCover(pageId, profilePicture);
+      }
+    }
+    return false;
+  }
+
   /**
    * Update an existing page in the Notion database
-   * Only updates empty fields, never overwrites existing data
-   * Exception: Status column can always be overwritten with latest Google Sheet value
+   * Only properties whose sheet value differs from Notion are sent, following
+   * the field ownership policy; empty sheet cells only clear sheet-owned
+   * properties, and properties without a matching sheet column are left alone.
+   * A returning member's Archive is reset to "Not Archived".
+   * @returns {Promise<{id: string, changed: string[]}|null>} Changed property names, null on failure
    */
-  async updateNotionPage(pageId, memberData) {
-    // No-op in destructive rebuild mode
-    return { id: pageId };
+  async updateNotionPage(page, member, database) {
+    const memberName = member.fullName;
+    try {
+      const changes = {};
+      Object.entries(this.buildMemberProperties(member, database.properties, true)).forEach(([propertyName, value]) => {
+        if (this.ownership.shouldWrite(propertyName, value, page.properties[propertyName], { isNew: false, pageKey: memberName })) {
+          changes[propertyName] = value;
+        }
+      });
+      if (comparablePropertyValue(page.properties[this.archiveProperty]) === 'Archived') {
+        changes[this.archiveProperty] = { select: { name: 'Not Archived' } };
+      }
+
+      const changed = Object.keys(changes);
+      if (changed.length > 0) {
+        console.log(`📝 Updating ${memberName}: ${changed.join(', ')}`);
+        if (this.dryRun) {
+          console.log(`🧪 DRY RUN - would update ${memberName}`);
+        } else {
+          const response = await fetch(`${this.notionApiBase}/pages/${page.id}`, {
+            method: 'PATCH',
+            headers: {
+              'Authorization': `Bearer ${this.notionToken}`,
+              'Content-Type': 'application/json',
+              'Notion-Version': this.notionApiVersion
+            },
+            body: JSON.stringify({ properties: changes })
+          });
+
+          if (!response.ok) {
+            const error = await response.text();
+            console.error(`❌ Failed to update page for ${memberName}: ${error}`);
+            return null;
+          }
+        }
+      }
+
+      if (!page.cover && !this.dryRun) {
+        await this.setCoverFromSlack(page.id, member);
+      }
+
+      return { id: page.id, changed };
+    } catch (error) {
+      console.error(`❌ Error updating page for ${memberName}:`, error);
+      return null;
+    }
   }
 
   /**
@@ -617,9 +586,57 @@ class NotionMemberSync {
 
   /**
    * Set the Archive select field instead of archiving the page
+   * @param {string} status - "Archived" or "Not Archived"
    */
   async setArchiveStatus(pageId, status) {
-    return true; // Deprecated in destructive mode
+    if (this.dryRun) {
+      console.log(`🧪 DRY RUN - would set Archive to "${status}" for page ${pageId}`);
+      return true;
+    }
+
+    try {
+      const response = await fetch(`${this.notionApiBase}/pages/${pageId}`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${this.notionToken}`,
+          'Content-Type': 'application/json',
+          'Notion-Version': this.notionApiVersion
+        },
+        body: JSON.stringify({
+          properties: {
+            [this.archiveProperty]: { select: { name: status } }
+          }
+        })
+      });
+
+      if (response.ok) {
+        console.log(`📦 Set Archive to "${status}" for page ${pageId}`);
+        return true;
+      } else {
+        const error = await response.text();
+        console.error(`❌ Failed to set Archive for page ${pageId}: ${error}`);
+        return false;
+      }
+    } catch (error) {
+      console.error(`❌ Error setting Archive for page ${pageId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Existing page for a roster member: by Email 180 / Email ESCP, otherwise by
+   * name among pages without any email. Each page is matched at most once.
+   */
+  findPageForMember(member, pagesByEmail, pagesWithoutEmail, claimed) {
+    for (const email of this.getMemberPrimaryEmails(member)) {
+      const page = pagesByEmail.get(email.toLowerCase());
+      if (page && !claimed.has(page.id)) return page;
+    }
+
+    const name = member.fullName.trim().toLowerCase();
+    return pagesWithoutEmail.find(page =>
+      !claimed.has(page.id) && this.getMemberNameFromPage(page).trim().toLowerCase() === name
+    ) || null;
   }
 
   /**
@@ -703,6 +720,23 @@ class NotionMemberSync {
           }
         };
       
+      case 'number': {
+        const digits = value.toString().replace(/[^\d.-]/g, '');
+        const number = Number(digits);
+        return digits && !isNaN(number) ? { [notionPropertyName]: { number } } : null;
+      }
+      
+      case 'checkbox': {
+        const checkbox = toCheckbox(value);
+        return checkbox ? { [notionPropertyName]: checkbox } : null;
+      }
+      
+      case 'relation': {
+        // Page titles in the related database, resolved by this.lookups
+        const relation = this.lookups.toRelation(value, notionPropertyName, notionProperty);
+        return relation ? { [notionPropertyName]: relation } : null;
+      }
+      
       default:
         console.log(`⚠️ Unknown property type: ${notionProperty.type} for ${notionPropertyName}`);
         return null;
@@ -728,8 +762,21 @@ class NotionMemberSync {
         throw new Error('Failed to load Notion database schema');
       }
 
-      // Delete all pages before full rebuild
-      await this.deleteAllNotionPages();
+      // Index existing pages by their member emails
+      const existingPages = await this.getExistingPages();
+      const pagesByEmail = new Map();
+      const pagesWithoutEmail = [];
+      existingPages.forEach(page => {
+        const emails = this.getPageEmails(page);
+        if (emails.length === 0) pagesWithoutEmail.push(page);
+        emails.forEach(email => {
+          if (!pagesByEmail.has(email)) pagesByEmail.set(email, page);
+        });
+      });
+
+      if (database.properties[this.archiveProperty]?.type !== 'select') {
+        console.warn(`⚠️ No "${this.archiveProperty}" select property - departed members will not be marked`);
+      }
 
       // Build case-insensitive header→property mapping
       const sheetHeaders = Object.keys(columnIndices);
@@ -745,31 +792,53 @@ class NotionMemberSync {
       Object.entries(headerToProp).forEach(([sheetHeader, notionProp]) => {
         console.log(`  ${notionProp} ← ${sheetHeader}`);
       });
+      this.ownership.logPolicy(Object.values(headerToProp));
+      await this.lookups.load(Object.fromEntries(Object.values(headerToProp).map(prop => [prop, database.properties[prop]])));
 
       let successCount = 0;
       let errorCount = 0;
       let createdCount = 0;
+      let updatedCount = 0;
+      let unchangedCount = 0;
+      let archivedCount = 0;
+      const claimed = new Set();
 
       // Process each member
       for (let i = 0; i < members.length; i++) {
-        const memberData = members[i];
+        const member = members[i];
         
         try {
           // Skip if member name is empty
-          const memberName = memberData['Full Name'] || memberData['Name'] || '';
-          if (!memberName.toString().trim()) {
-            console.log(`⏭️ Skipping row ${i + 2}: No member name`);
+          const memberName = member.fullName;
+          if (!memberName) {
+            console.log(`⏭️ Skipping row ${member.rowIndex}: No member name`);
             continue;
           }
 
-          // Create new page (rebuild mode)
-            const result = await this.createNotionPage(memberData);
+          const existing = this.findPageForMember(member, pagesByEmail, pagesWithoutEmail, claimed);
+          if (existing) {
+            claimed.add(existing.id);
+            const result = await this.updateNotionPage(existing, member, database);
+            if (!result) {
+              errorCount++;
+              continue;
+            }
+            successCount++;
+            if (result.changed.length > 0) {
+              updatedCount++;
+            } else {
+              unchangedCount++;
+              continue; // nothing was written, no need to wait
+            }
+          } else {
+            const result = await this.createNotionPage(member, database);
             if (result) {
               successCount++;
               createdCount++;
             } else {
-            console.log(`❌ Failed to create page for ${memberName}`);
+              console.log(`❌ Failed to create page for ${memberName}`);
               errorCount++;
+            }
           }
 
           // Add a small delay to avoid rate limiting
@@ -777,14 +846,41 @@ class NotionMemberSync {
 
         } catch (error) {
           errorCount++;
-          console.error(`❌ Error processing row ${i + 2}:`, error);
+          console.error(`❌ Error processing row ${member.rowIndex}:`, error);
         }
       }
 
+      // Departed members: pages no roster member matched
+      if (database.properties[this.archiveProperty]?.type === 'select') {
+        const activePages = existingPages.filter(page => comparablePropertyValue(page.properties[this.archiveProperty]) !== 'Archived');
+        const departedPages = activePages.filter(page => !claimed.has(page.id));
+        const guardReason = this.getArchiveGuardReason(members.length, departedPages.length, activePages.length);
+        if (guardReason) {
+          console.error(`❌ Skipping the archive pass: ${guardReason}`);
+          errorCount++;
+        } else {
+          for (const page of departedPages) {
+            console.log(`📦 ${this.getMemberNameFromPage(page) || page.id} is no longer in the roster`);
+            if (await this.setArchiveStatus(page.id, 'Archived')) {
+              archivedCount++;
+            } else {
+              errorCount++;
+            }
+            await this.sleep(500);
+          }
+        }
+      }
+
+      const conflictCount = this.ownership.reportConflicts();
+
       console.log(`\n🎉 Notion Member Database Sync completed!`);
       console.log(`📊 Summary:`);
       console.log(`  ✅ Successfully processed: ${successCount} members`);
       console.log(`  🆕 Created: ${createdCount} new members`);
+      console.log(`  📝 Updated: ${updatedCount} members`);
+      console.log(`  ⏭️ Unchanged: ${unchangedCount} members`);
+      console.log(`  📦 Archived: ${archivedCount} departed members`);
+      console.log(`  ⚠️ Ownership conflicts: ${conflictCount}`);
       console.log(`  ❌ Errors: ${errorCount} members`);
 
     } catch (error) {
@@ -793,6 +889,22 @@ class NotionMemberSync {
     }
   }
 
+  /**
+   * Why departed members must not be archived this run (null when it's safe):
+   * an empty roster, or more unmatched pages than maxArchiveShare allows
+   */
+  getArchiveGuardReason(memberCount, departedCount, activeCount) {
+    if (memberCount === 0) {
+      return `no members were loaded from the roster, ${departedCount} pages would be archived`;
+    }
+    if (activeCount > 0 && departedCount / activeCount > this.maxArchiveShare) {
+      const percent = share => `${Math.round(share * 100)}%`;
+      return `${departedCount} of ${activeCount} active pages (${percent(departedCount / activeCount)}) match no roster member, ` +
+        `above the ${percent(this.maxArchiveShare)} limit (NOTION_MEMBERS_MAX_ARCHIVE_SHARE)`;
+    }
+    return null;
+  }
+
   /**
    * Utility functions
    */
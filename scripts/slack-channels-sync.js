@@ -6,19 +6,35 @@
  * Syncs Google Sheets member data with Slack channel memberships
  * 
  * Features:
- * - Auto-managed executive channels (Department ≠ "Consultant")
- * - Auto-managed leadership channel (Executives + Project Leaders)
- * - Auto-managed actives channel (Status = "Active")
- * - Always includes escp@180dc.org in all channels
+ * - Channel membership rules declared in config/slack-channels.json
+ *   (channel IDs or names, roster filter, always-include list)
+ * - Rules validated at startup; channel names resolved to IDs at runtime
+ * - Plan/apply: every run writes a JSON diff (adds, removals, skipped bots,
+ *   kept manual members per channel); removals are only applied from an
+ *   approved plan file or when they stay under the configured threshold
+ * - Per-channel allowlist of manually-managed members who are never kicked
  * - Rate limiting and batched operations
  */
 
 import { WebClient } from '@slack/web-api';
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MemberRoster from './lib/member-roster.js';
+import { compileFilter, validateFilter } from './lib/member-filter.js';
 
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CHANNEL_ID_PATTERN = /^[CG][A-Z0-9]{6,}$/;
+const USER_ID_PATTERN = /^[UW][A-Z0-9]{6,}$/;
+const SYNC_MODES = ['plan', 'apply'];
+const PLAN_VERSION = 1;
+
 class SlackChannelsSync {
   constructor() {
     // Validate required environment variables
@@ -28,50 +44,28 @@ class SlackChannelsSync {
     this.sheets = null;
     this.sheetsId = this.extractSheetId(process.env.GSHEET_MEMBERS_LINK);
     this.dryRun = process.env.DRY_RUN === 'true';
+    this.slackChannel = process.env.SLACK_CHANNEL || null;
+    
+    // Plan/apply: DRY_RUN is kept as an alias for plan mode
+    this.planFile = process.env.PLAN_FILE || null;
+    this.mode = process.env.SYNC_MODE || (this.dryRun ? 'plan' : 'apply');
+    if (!SYNC_MODES.includes(this.mode)) {
+      throw new Error(`Invalid SYNC_MODE "${this.mode}" (expected one of ${SYNC_MODES.join(', ')})`);
+    }
+    if (this.planFile && this.mode !== 'apply') {
+      throw new Error('PLAN_FILE can only be used with SYNC_MODE=apply');
+    }
     
     // Configuration
     this.config = {
       SHEET_NAME: 'Member Database',
       
-      // Column headers
-      COL_EMAIL: 'Email 180',
-      COL_DEPT: 'Department',
-      COL_POSITION: 'Position',
-      COL_STATUS: 'Status',
-      
-      // Always include this email in all channels
-      ALWAYS_INCLUDE_EMAIL: 'escp@180dc.org',
+      // Channel membership rules (JSON config, validated at startup)
+      CHANNELS_CONFIG_PATH: process.env.SLACK_CHANNELS_CONFIG || path.join(__dirname, 'config', 'slack-channels.json'),
       
-      // Channel configurations
-      CHANNELS: {
-        // All executives (Department ≠ "Consultants" AND Status = "Active")
-        EXECUTIVE_CHANNELS: [
-          'C07CECJ7LTX',
-          'G01AJARKC3G',
-          'C06KKGWRU10',
-          'C08NEBR6N0J',
-          'C04H1J4PNLT',
-          'C07GVPQ3N9L',
-          'C097HQ7576K',
-          'C09GZ4UST7E'
-        ],
-        
-        // Department-specific channels
-        DEPARTMENT_CHANNELS: {
-          // Presidency, Consulting, People & Organisation
-          'C097UCTLNHH': ['Presidency', 'Consulting', 'People & Organisation'],
-          // Presidency, People & Organisation
-          'C07H0G68M4Y': ['Presidency', 'People & Organisation'],
-          // Presidency, Business Development, Consulting
-          'C08UWD5GV6G': ['Presidency', 'Business Development', 'Consulting']
-        },
-        
-        // Leadership channel (Executives + Project Leaders)
-        LEADERSHIP_CHANNEL: 'C07RWMESXRC',
-        
-        // All actives channel (Status = "Active")
-        ACTIVES_CHANNEL: 'C090G37EXJ6'
-      },
+      // Plan output and approval
+      PLAN_OUTPUT_PATH: process.env.PLAN_OUTPUT || 'channel-sync-plan.json',
+      PLAN_MAX_AGE_HOURS: 72,
       
       // Rate limiting
       LOOKUP_BATCH_SIZE: 40,
@@ -80,6 +74,15 @@ class SlackChannelsSync {
       MAX_RETRIES: 5,
       BASE_BACKOFF_MS: 1500
     };
+
+    this.channelRules = this.loadChannelRules(this.config.CHANNELS_CONFIG_PATH);
+    if (process.env.SLACK_CHANNELS_MAX_REMOVALS) {
+      const maxRemovals = Number(process.env.SLACK_CHANNELS_MAX_REMOVALS);
+      if (!Number.isInteger(maxRemovals) || maxRemovals < 0) {
+        throw new Error('SLACK_CHANNELS_MAX_REMOVALS must be a non-negative integer');
+      }
+      this.channelRules.maxRemovals = maxRemovals;
+    }
   }
 
   /**
@@ -128,6 +131,168 @@ class SlackChannelsSync {
     throw new Error(`Could not extract sheet ID from URL: ${url}`);
   }
 
+  /**
+   * Load and validate channel membership rules from the JSON config
+   */
+  loadChannelRules(configPath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read channel config ${configPath}: ${error.message}`);
+    }
+
+    const errors = [];
+    const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const checkEmails = (list, where) => {
+      if (list === undefined) return;
+      if (!Array.isArray(list)) {
+        errors.push(`${where}: must be an array of emails`);
+        return;
+      }
+      list.filter(email => typeof email !== 'string' || !emailPattern.test(email))
+        .forEach(email => errors.push(`${where}: invalid email "${email}"`));
+    };
+
+    checkEmails(raw.alwaysInclude, 'alwaysInclude');
+
+    const settings = raw.settings || {};
+    const maxRemovals = settings.maxRemovals ?? 10;
+    if (!Number.isInteger(maxRemovals) || maxRemovals < 0) {
+      errors.push('settings.maxRemovals: must be a non-negative integer');
+    }
+
+    // Manually-managed members: channel (ID or name) → emails or user IDs, never kicked
+    const manualMembers = raw.manualMembers || {};
+    if (typeof manualMembers !== 'object' || Array.isArray(manualMembers)) {
+      errors.push('manualMembers: must map channel IDs or names to lists of emails or user IDs');
+    } else {
+      Object.entries(manualMembers).forEach(([channel, entries]) => {
+        const where = `manualMembers.${channel}`;
+        if (!Array.isArray(entries)) {
+          errors.push(`${where}: must be an array of emails or user IDs`);
+          return;
+        }
+        entries.filter(e => typeof e !== 'string' || !(emailPattern.test(e) || USER_ID_PATTERN.test(e)))
+          .forEach(e => errors.push(`${where}: invalid email or user ID "${e}"`));
+      });
+    }
+
+    if (!Array.isArray(raw.rules) || raw.rules.length === 0) {
+      errors.push('rules: must be a non-empty array');
+    }
+
+    const rules = (Array.isArray(raw.rules) ? raw.rules : []).map((rule, i) => {
+      const where = `rules[${i}]${rule?.name ? ` (${rule.name})` : ''}`;
+      if (!Array.isArray(rule?.channels) || rule.channels.length === 0 ||
+          rule.channels.some(c => typeof c !== 'string' || !c.trim())) {
+        errors.push(`${where}.channels: must be a non-empty array of channel IDs or names`);
+      }
+      checkEmails(rule?.alwaysInclude, `${where}.alwaysInclude`);
+      errors.push(...validateFilter(rule?.filter, `${where}.filter`));
+
+      return {
+        name: rule?.name || `rule-${i + 1}`,
+        channels: (rule?.channels || []).map(c => String(c).trim()),
+        alwaysInclude: (rule?.alwaysInclude || []).map(e => String(e).toLowerCase()),
+        filter: rule?.filter,
+        channelIds: []
+      };
+    });
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid channel config ${configPath}:\n  ${errors.join('\n  ')}`);
+    }
+
+    rules.forEach(rule => { rule.matches = compileFilter(rule.filter); });
+
+    console.log(`📋 Loaded ${rules.length} channel rules from ${configPath}`);
+    return {
+      alwaysInclude: (raw.alwaysInclude || []).map(e => String(e).toLowerCase()),
+      rules,
+      maxRemovals,
+      manualMembers: Object.entries(manualMembers).map(([channel, entries]) => ({
+        channel: channel.trim(),
+        entries: entries.map(e => USER_ID_PATTERN.test(e) ? e : e.toLowerCase())
+      })),
+      manualByChannel: {}
+    };
+  }
+
+  /**
+   * Resolve channel names in the rules to channel IDs
+   */
+  async resolveChannelIds() {
+    const names = new Set();
+    const channelRefs = [
+      ...this.channelRules.rules.flatMap(rule => rule.channels),
+      ...this.channelRules.manualMembers.map(entry => entry.channel)
+    ];
+    channelRefs.filter(c => !CHANNEL_ID_PATTERN.test(c)).forEach(c => names.add(c.replace(/^#/, '')));
+
+    const nameToId = {};
+    if (names.size > 0) {
+      let cursor;
+      do {
+        const result = await this.slack.conversations.list({
+          types: 'public_channel,private_channel',
+          exclude_archived: true,
+          limit: 1000,
+          cursor
+        });
+        (result.channels || []).forEach(channel => {
+          if (names.has(channel.name)) nameToId[channel.name] = channel.id;
+        });
+        cursor = result.response_metadata?.next_cursor || undefined;
+      } while (cursor);
+    }
+
+    const unresolved = [...names].filter(name => !nameToId[name]);
+    if (unresolved.length > 0) {
+      throw new Error(`Could not resolve Slack channel names: ${unresolved.map(n => `#${n}`).join(', ')}`);
+    }
+
+    const toId = (c) => CHANNEL_ID_PATTERN.test(c) ? c : nameToId[c.replace(/^#/, '')];
+    this.channelRules.rules.forEach(rule => {
+      rule.channelIds = rule.channels.map(toId);
+    });
+
+    this.channelRules.manualByChannel = {};
+    this.channelRules.manualMembers.forEach(({ channel, entries }) => {
+      const channelId = toId(channel);
+      this.channelRules.manualByChannel[channelId] = [
+        ...(this.channelRules.manualByChannel[channelId] || []),
+        ...entries
+      ];
+    });
+  }
+
+  /**
+   * Resolve the manually-managed allowlist to Slack user IDs per channel
+   */
+  async resolveManualMembers(emailToUser = {}) {
+    const manualIds = {};
+
+    for (const [channelId, entries] of Object.entries(this.channelRules.manualByChannel)) {
+      const ids = new Set();
+      for (const entry of entries) {
+        if (USER_ID_PATTERN.test(entry)) {
+          ids.add(entry);
+          continue;
+        }
+        const user = emailToUser[entry] || await this.lookupUserByEmailWithRetry(entry);
+        if (user?.id) {
+          ids.add(user.id);
+        } else {
+          console.warn(`⚠️ Manually-managed member ${entry} not found in Slack (channel ${channelId})`);
+        }
+      }
+      manualIds[channelId] = ids;
+    }
+
+    return manualIds;
+  }
+
   /**
    * Initialize Google Sheets API
    */
@@ -158,82 +323,17 @@ class SlackChannelsSync {
   }
 
   /**
-   * Read member data from Google Sheets
+   * Read member data from the shared member roster
    */
   async readMembers() {
     try {
-      console.log(`📊 Reading member data from sheet: ${this.config.SHEET_NAME}`);
-      
-      // First, get the spreadsheet metadata to find the correct sheet name
-      const spreadsheet = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetsId
-      });
-      
-      const sheets = spreadsheet.data.sheets || [];
-      console.log(`📋 Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      
-      // Find the sheet that matches our target name (case-insensitive)
-      const targetSheet = sheets.find(sheet => 
-        sheet.properties?.title?.toLowerCase() === this.config.SHEET_NAME.toLowerCase()
-      );
-      
-      if (!targetSheet) {
-        throw new Error(`Sheet "${this.config.SHEET_NAME}" not found. Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      }
-      
-      const actualSheetName = targetSheet.properties.title;
-      console.log(`📊 Using sheet: "${actualSheetName}"`);
-      
-      const response = await this.sheets.spreadsheets.values.get({
+      const roster = new MemberRoster({
+        sheets: this.sheets,
         spreadsheetId: this.sheetsId,
-        range: `${actualSheetName}!A:Z`
+        sheetName: this.config.SHEET_NAME
       });
-
-      const values = response.data.values;
-      if (!values || values.length < 2) {
-        throw new Error('No data found in sheet');
-      }
-
-      const headers = values[0];
-      const dataRows = values.slice(1);
-      
-      // Find column indices
-      const getColumnIndex = (columnName) => {
-        return headers.findIndex(header => 
-          header && header.toString().toLowerCase().includes(columnName.toLowerCase())
-        );
-      };
-
-      const columnIndices = {
-        email: getColumnIndex(this.config.COL_EMAIL),
-        dept: getColumnIndex(this.config.COL_DEPT),
-        position: getColumnIndex(this.config.COL_POSITION),
-        status: getColumnIndex(this.config.COL_STATUS)
-      };
-
-      console.log('📋 Column mapping:', columnIndices);
-
-      // Transform rows to member objects with validation
-      const members = dataRows.map((row, index) => {
-        const email = this.normalizeEmail(row[columnIndices.email]);
-        const member = {
-          email,
-          dept: (row[columnIndices.dept] || '').toString().trim(),
-          position: (row[columnIndices.position] || '').toString().trim(),
-          status: (row[columnIndices.status] || '').toString().trim(),
-          rowIndex: index + 2 // +2 because we skipped header and arrays are 0-indexed
-        };
-        
-        // Validate email format
-        if (email && !this.isValidEmail(email)) {
-          console.warn(`⚠️ Invalid email format in row ${member.rowIndex}: ${email}`);
-        }
-        
-        return member;
-      }).filter(member => member.email); // Only include members with email
-
-      console.log(`📊 Loaded ${members.length} members from sheet`);
-      return members;
+      const { members } = await roster.load();
+      return members.filter(member => member.email); // Only include members with email
     } catch (error) {
       console.error('❌ Error reading members from sheet:', error);
       throw error;
@@ -241,58 +341,25 @@ class SlackChannelsSync {
   }
 
   /**
-   * Build target memberships for all channels
+   * Build target memberships for all channels by evaluating the channel rules
    */
   buildTargets(members) {
     const channelMembers = {};
-    
-    // Initialize all channels
-    const allChannels = [
-      ...this.config.CHANNELS.EXECUTIVE_CHANNELS,
-      ...Object.keys(this.config.CHANNELS.DEPARTMENT_CHANNELS),
-      this.config.CHANNELS.LEADERSHIP_CHANNEL,
-      this.config.CHANNELS.ACTIVES_CHANNEL
-    ];
-    
-    allChannels.forEach(channelId => {
-      channelMembers[channelId] = new Set();
-    });
-
-    // Always include escp@180dc.org in all channels
-    allChannels.forEach(channelId => {
-      channelMembers[channelId].add(this.config.ALWAYS_INCLUDE_EMAIL);
-    });
-
-    // Process members
-    for (const member of members) {
-      const { email, dept, position, status } = member;
-      
-      // Skip if not active
-      if (status.toLowerCase() !== 'active') {
-        continue;
+    const ensure = (channelId) => {
+      if (!channelMembers[channelId]) {
+        channelMembers[channelId] = new Set();
       }
+      return channelMembers[channelId];
+    };
 
-      // Executive channels: Department ≠ "Consultants"
-      if (dept !== 'Consultants') {
-        this.config.CHANNELS.EXECUTIVE_CHANNELS.forEach(channelId => {
-          channelMembers[channelId].add(email);
-        });
-      }
+    for (const rule of this.channelRules.rules) {
+      const matched = members.filter(member => rule.matches(member)).map(member => member.email);
+      const emails = [...this.channelRules.alwaysInclude, ...rule.alwaysInclude, ...matched];
 
-      // Department-specific channels
-      Object.entries(this.config.CHANNELS.DEPARTMENT_CHANNELS).forEach(([channelId, allowedDepartments]) => {
-        if (allowedDepartments.includes(dept)) {
-          channelMembers[channelId].add(email);
-        }
+      rule.channelIds.forEach(channelId => {
+        const set = ensure(channelId);
+        emails.forEach(email => set.add(email));
       });
-
-      // Leadership channel: Executives + Project Leaders
-      if (dept !== 'Consultants' || position === 'Project Leader') {
-        channelMembers[this.config.CHANNELS.LEADERSHIP_CHANNEL].add(email);
-      }
-
-      // Actives channel: All active members
-      channelMembers[this.config.CHANNELS.ACTIVES_CHANNEL].add(email);
     }
 
     // Convert sets to arrays and log summary
@@ -420,6 +487,8 @@ class SlackChannelsSync {
       if (result.ok && result.user) {
         return {
           id: result.user.id,
+          name: result.user.real_name || result.user.name || '',
+          email: result.user.profile?.email || '',
           is_bot: result.user.is_bot || false,
           is_workflow_bot: result.user.is_workflow_bot || false,
           deleted: result.user.deleted || false
@@ -486,113 +555,274 @@ class SlackChannelsSync {
   }
 
   /**
-   * Sync channel memberships
+   * Build the membership plan: a three-way diff of roster targets, current
+   * channel members and the manually-managed allowlist
    */
-  async syncChannelMemberships(channelMembers, emailToUser) {
+  async buildPlan() {
+    // Initialize Google Sheets
+    await this.initializeSheets();
+
+    // Read member data
+    const members = await this.readMembers();
+    console.log(`📊 Loaded ${members.length} members from sheet`);
+
+    // Resolve channel names used in the rules
+    await this.resolveChannelIds();
+
+    // Build targets
+    const channelMembers = this.buildTargets(members);
+
+    // Collect all unique emails (targets and allowlist)
+    const allEmails = new Set();
+    Object.values(channelMembers).forEach(emails => {
+      emails.forEach(email => allEmails.add(email));
+    });
+    Object.values(this.channelRules.manualByChannel).forEach(entries => {
+      entries.filter(e => !USER_ID_PATTERN.test(e)).forEach(email => allEmails.add(email));
+    });
+
+    // Resolve Slack users
+    const emailToUser = await this.resolveSlackUsersBatched(Array.from(allEmails));
+    const manualIds = await this.resolveManualMembers(emailToUser);
+
+    const channels = {};
     for (const [channelId, targetEmails] of Object.entries(channelMembers)) {
-      console.log(`\n🔄 Syncing channel ${channelId}...`);
-      
-      // Get current members
+      console.log(`\n🔄 Planning channel ${channelId}...`);
+
       const currentMemberIds = await this.getChannelMembers(channelId);
-      console.log(`📊 Current members: ${currentMemberIds.length}`);
-      
-      // Convert target emails to user IDs
-      const targetUserIds = targetEmails
-        .map(email => emailToUser[email]?.id)
-        .filter(Boolean);
-      
-      console.log(`📊 Target members: ${targetUserIds.length}`);
-      
-      // Find users to add and remove
       const currentSet = new Set(currentMemberIds);
-      const targetSet = new Set(targetUserIds);
-      
-      const toAdd = targetUserIds.filter(id => !currentSet.has(id));
-      const toRemove = currentMemberIds.filter(id => !targetSet.has(id));
-      
-      console.log(`➕ Users to add: ${toAdd.length}`);
-      console.log(`➖ Users to remove: ${toRemove.length}`);
-      
-      if (this.dryRun) {
-        console.log(`🧪 DRY RUN - Would add: ${toAdd.length}, remove: ${toRemove.length}`);
-        continue;
+      const manualSet = manualIds[channelId] || new Set();
+
+      const targetIds = new Map();
+      const unresolved = [];
+      targetEmails.forEach(email => {
+        const id = emailToUser[email]?.id;
+        if (id) targetIds.set(id, email);
+        else unresolved.push(email);
+      });
+
+      const adds = [...targetIds]
+        .filter(([id]) => !currentSet.has(id))
+        .map(([id, email]) => ({ id, email }));
+
+      const removals = [];
+      const skippedBots = [];
+      const keptManual = [];
+      for (const userId of currentMemberIds.filter(id => !targetIds.has(id))) {
+        if (manualSet.has(userId)) {
+          keptManual.push({ id: userId });
+          continue;
+        }
+
+        const userInfo = await this.getUserInfo(userId);
+        if (userInfo && (userInfo.is_bot || userInfo.is_workflow_bot)) {
+          skippedBots.push({ id: userId, name: userInfo.name });
+          continue;
+        }
+
+        removals.push({
+          id: userId,
+          name: userInfo?.name || '',
+          email: userInfo?.email || '',
+          deleted: userInfo?.deleted || false
+        });
       }
-      
+
+      channels[channelId] = {
+        rules: this.channelRules.rules.filter(rule => rule.channelIds.includes(channelId)).map(rule => rule.name),
+        currentCount: currentMemberIds.length,
+        targetCount: targetIds.size,
+        adds,
+        removals,
+        skippedBots,
+        keptManual,
+        unresolved
+      };
+
+      console.log(`➕ ${adds.length} to add, ➖ ${removals.length} to remove, 🤖 ${skippedBots.length} bots skipped, 🛡️ ${keptManual.length} manual kept`);
+    }
+
+    const total = (key) => Object.values(channels).reduce((sum, c) => sum + c[key].length, 0);
+
+    return {
+      version: PLAN_VERSION,
+      createdAt: new Date().toISOString(),
+      runUrl: this.getRunUrl(),
+      maxRemovals: this.channelRules.maxRemovals,
+      totals: {
+        adds: total('adds'),
+        removals: total('removals'),
+        skippedBots: total('skippedBots'),
+        keptManual: total('keptManual')
+      },
+      channels
+    };
+  }
+
+  /**
+   * Write the plan to a JSON artifact
+   */
+  writePlan(plan, planPath) {
+    fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+    console.log(`📝 Plan written to ${planPath}`);
+  }
+
+  /**
+   * Load an approved plan file
+   */
+  loadPlan(planPath) {
+    let plan;
+    try {
+      plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read plan file ${planPath}: ${error.message}`);
+    }
+
+    if (plan.version !== PLAN_VERSION || !plan.channels || typeof plan.channels !== 'object') {
+      throw new Error(`Unsupported plan file ${planPath} (expected version ${PLAN_VERSION})`);
+    }
+
+    const ageHours = (Date.now() - new Date(plan.createdAt).getTime()) / 36e5;
+    if (!(ageHours <= this.config.PLAN_MAX_AGE_HOURS)) {
+      throw new Error(`Plan file ${planPath} is older than ${this.config.PLAN_MAX_AGE_HOURS}h; create a new plan`);
+    }
+
+    console.log(`📋 Loaded plan from ${planPath} (created ${plan.createdAt})`);
+    return plan;
+  }
+
+  /**
+   * Apply a plan: invite adds and kick removals. The allowlist is checked
+   * again so members added to it after planning are never kicked.
+   */
+  async applyPlan(plan) {
+    await this.resolveChannelIds();
+    const manualIds = await this.resolveManualMembers();
+
+    for (const [channelId, diff] of Object.entries(plan.channels)) {
+      console.log(`\n🔄 Applying plan for channel ${channelId}...`);
+
       // Add users
-      if (toAdd.length > 0) {
-        await this.inviteUsersToChannel(channelId, toAdd);
+      if (diff.adds.length > 0) {
+        await this.inviteUsersToChannel(channelId, diff.adds.map(u => u.id));
         await this.sleep(500);
       }
-      
-      // Remove users (but exclude bots and workflows)
+
+      // Remove users (manually-managed members preserved)
+      const manualSet = manualIds[channelId] || new Set();
+      const toRemove = diff.removals.filter(u => {
+        if (!manualSet.has(u.id)) return true;
+        console.log(`🛡️ Preserving manually-managed member: ${u.name || u.id}`);
+        return false;
+      });
+
       if (toRemove.length > 0) {
-        const filteredToRemove = [];
-        
-        for (const userId of toRemove) {
-          const userInfo = await this.getUserInfo(userId);
-          
-          if (userInfo) {
-            if (userInfo.is_bot || userInfo.is_workflow_bot) {
-              console.log(`🤖 Preserving bot/workflow: ${userId}`);
-              continue;
-            }
-            if (userInfo.deleted) {
-              console.log(`👻 Removing deleted user: ${userId}`);
-            }
-          }
-          
-          filteredToRemove.push(userId);
-        }
-        
-        if (filteredToRemove.length > 0) {
-          console.log(`➖ Actually removing: ${filteredToRemove.length} users (bots/workflows preserved)`);
-          await this.removeUsersFromChannel(channelId, filteredToRemove);
-          await this.sleep(500);
-        } else {
-          console.log(`🤖 No users to remove (all are bots/workflows)`);
-        }
+        toRemove.filter(u => u.deleted).forEach(u => console.log(`👻 Removing deleted user: ${u.id}`));
+        await this.removeUsersFromChannel(channelId, toRemove.map(u => u.id));
+        await this.sleep(500);
       }
     }
   }
 
+  /**
+   * Post a plan summary to Slack
+   * @param {'planned'|'applied'|'needs-approval'} status
+   */
+  async postPlanSummary(plan, status) {
+    const { totals } = plan;
+    const headline = {
+      planned: '📝 *Slack channel sync plan*',
+      applied: '✅ *Slack channel sync applied*',
+      'needs-approval': '✋ *Slack channel sync needs approval*'
+    }[status];
+
+    const lines = [
+      headline,
+      `➕ ${totals.adds} adds · ➖ ${totals.removals} removals · 🤖 ${totals.skippedBots} bots skipped · 🛡️ ${totals.keptManual} manual kept`
+    ];
+
+    Object.entries(plan.channels)
+      .filter(([, c]) => c.adds.length > 0 || c.removals.length > 0)
+      .forEach(([channelId, c]) => {
+        const removed = c.removals.slice(0, 5).map(u => u.name || u.email || u.id).join(', ');
+        const more = c.removals.length > 5 ? ` +${c.removals.length - 5} more` : '';
+        lines.push(`• <#${channelId}>: +${c.adds.length} / -${c.removals.length}${removed ? ` (${removed}${more})` : ''}`);
+      });
+
+    if (status === 'needs-approval') {
+      lines.push(`\n${totals.removals} removals exceed the threshold of ${plan.maxRemovals}. Review the plan artifact and re-run the workflow with this run's ID as \`plan_run_id\` to apply it.`);
+    }
+    if (plan.runUrl) {
+      lines.push(`<${plan.runUrl}|View run and plan artifact>`);
+    }
+
+    const text = lines.join('\n');
+    if (!this.slackChannel) {
+      console.log(`📱 Slack notification (disabled):\n${text}`);
+      return;
+    }
+
+    try {
+      await this.slack.chat.postMessage({
+        channel: this.slackChannel,
+        text,
+        unfurl_links: false
+      });
+      console.log('✅ Plan summary sent to Slack');
+    } catch (error) {
+      console.warn('⚠️ Failed to post plan summary to Slack:', error.message);
+    }
+  }
+
+  /**
+   * Link to the current GitHub Actions run, when running in CI
+   */
+  getRunUrl() {
+    const { GITHUB_SERVER_URL, GITHUB_REPOSITORY, GITHUB_RUN_ID } = process.env;
+    if (!GITHUB_SERVER_URL || !GITHUB_REPOSITORY || !GITHUB_RUN_ID) return null;
+    return `${GITHUB_SERVER_URL}/${GITHUB_REPOSITORY}/actions/runs/${GITHUB_RUN_ID}`;
+  }
+
   /**
    * Main sync function
    */
   async sync() {
     console.log('🚀 Starting Slack Channels Sync...\n');
-    
+    console.log(`⚙️ Mode: ${this.mode}${this.planFile ? ` (approved plan ${this.planFile})` : ''}`);
+
     try {
-      // Initialize Google Sheets
-      await this.initializeSheets();
-      
-      // Read member data
-      const members = await this.readMembers();
-      console.log(`📊 Loaded ${members.length} members from sheet`);
-      
-      // Build targets
-      const channelMembers = this.buildTargets(members);
-      
-      if (this.dryRun) {
-        console.log('🧪 DRY RUN MODE - No changes will be made');
-        console.log('📊 Would update channels:', Object.keys(channelMembers));
+      // Apply a reviewed plan as-is
+      if (this.planFile) {
+        const plan = this.loadPlan(this.planFile);
+        await this.applyPlan(plan);
+        await this.postPlanSummary(plan, 'applied');
+        console.log(`\n🎉 Sync completed successfully!`);
         return;
       }
-      
-      // Collect all unique emails
-      const allEmails = new Set();
-      Object.values(channelMembers).forEach(emails => {
-        emails.forEach(email => allEmails.add(email));
-      });
-      
-      // Resolve Slack users
-      const emailToUser = await this.resolveSlackUsersBatched(Array.from(allEmails));
-      
-      // Sync channel memberships
-      await this.syncChannelMemberships(channelMembers, emailToUser);
-      
+
+      const plan = await this.buildPlan();
+      this.writePlan(plan, this.config.PLAN_OUTPUT_PATH);
+
+      if (this.mode === 'plan') {
+        console.log('🧪 PLAN MODE - No changes will be made');
+        await this.postPlanSummary(plan, 'planned');
+        return;
+      }
+
+      if (plan.totals.removals > plan.maxRemovals) {
+        console.warn(`✋ ${plan.totals.removals} removals exceed the threshold of ${plan.maxRemovals}; not applying. Approve the plan to apply it.`);
+        await this.postPlanSummary(plan, 'needs-approval');
+        return;
+      }
+
+      await this.applyPlan(plan);
+      if (plan.totals.adds > 0 || plan.totals.removals > 0) {
+        await this.postPlanSummary(plan, 'applied');
+      }
+
       console.log(`\n🎉 Sync completed successfully!`);
-      console.log(`📊 Updated ${Object.keys(channelMembers).length} channels`);
-      
+      console.log(`📊 Updated ${Object.keys(plan.channels).length} channels`);
+
     } catch (error) {
       console.error('❌ Sync failed:', error);
       throw error;
@@ -602,17 +832,6 @@ class SlackChannelsSync {
   /**
    * Utility functions
    */
-  normalizeEmail(value) {
-    const s = String(value || '').trim().toLowerCase();
-    if (!s || !/@/.test(s)) return '';
-    return s;
-  }
-
-  isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  }
-
   sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -17,6 +17,7 @@
 import { WebClient } from '@slack/web-api';
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
+import MemberRoster from './lib/member-roster.js';
 
 dotenv.config();
 
@@ -36,13 +37,6 @@ class SlackTitlesSync {
     this.config = {
       SHEET_NAME: 'Member Database',
       
-      // Column headers
-      COL_EMAIL: 'Email 180',
-      COL_DEPT: 'Department',
-      COL_POSITION: 'Position',
-      COL_STATUS: 'Status',
-      COL_PROJECTS: 'Projects',
-      
       // Rate limiting
       LOOKUP_BATCH_SIZE: 50,
       LOOKUP_SPACING_MS: 200,
@@ -135,74 +129,17 @@ class SlackTitlesSync {
   }
 
   /**
-   * Read member data from Google Sheets
+   * Read member data from the shared member roster
    */
   async readMembers() {
     try {
-      console.log(`📊 Reading member data from sheet: ${this.config.SHEET_NAME}`);
-      
-      // First, get the spreadsheet metadata to find the correct sheet name
-      const spreadsheet = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetsId
-      });
-      
-      const sheets = spreadsheet.data.sheets || [];
-      console.log(`📋 Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      
-      // Find the sheet that matches our target name (case-insensitive)
-      const targetSheet = sheets.find(sheet => 
-        sheet.properties?.title?.toLowerCase() === this.config.SHEET_NAME.toLowerCase()
-      );
-      
-      if (!targetSheet) {
-        throw new Error(`Sheet "${this.config.SHEET_NAME}" not found. Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      }
-      
-      const actualSheetName = targetSheet.properties.title;
-      console.log(`📊 Using sheet: "${actualSheetName}"`);
-      
-      const response = await this.sheets.spreadsheets.values.get({
+      const roster = new MemberRoster({
+        sheets: this.sheets,
         spreadsheetId: this.sheetsId,
-        range: `${actualSheetName}!A:Z`
+        sheetName: this.config.SHEET_NAME
       });
-
-      const values = response.data.values;
-      if (!values || values.length < 2) {
-        throw new Error('No data found in sheet');
-      }
-
-      const headers = values[0];
-      const dataRows = values.slice(1);
-      
-      // Find column indices
-      const getColumnIndex = (columnName) => {
-        return headers.findIndex(header => 
-          header && header.toString().toLowerCase().includes(columnName.toLowerCase())
-        );
-      };
-
-      const columnIndices = {
-        email: getColumnIndex(this.config.COL_EMAIL),
-        dept: getColumnIndex(this.config.COL_DEPT),
-        position: getColumnIndex(this.config.COL_POSITION),
-        status: getColumnIndex(this.config.COL_STATUS),
-        projects: getColumnIndex(this.config.COL_PROJECTS)
-      };
-
-      console.log('📋 Column mapping:', columnIndices);
-
-      // Transform rows to member objects
-      const members = dataRows.map((row, index) => ({
-        email: this.normalizeEmail(row[columnIndices.email]),
-        dept: row[columnIndices.dept] || '',
-        position: row[columnIndices.position] || '',
-        status: row[columnIndices.status] || '',
-        projects: row[columnIndices.projects] || '',
-        rowIndex: index + 2 // +2 because we skipped header and arrays are 0-indexed
-      })).filter(member => member.email); // Only include members with email
-
-      console.log(`📊 Loaded ${members.length} members from sheet`);
-      return members;
+      const { members } = await roster.load();
+      return members.filter(member => member.email); // Only include members with email
     } catch (error) {
       console.error('❌ Error reading members from sheet:', error);
       throw error;
@@ -219,7 +156,7 @@ class SlackTitlesSync {
     const others = new Set();
 
     for (const member of members) {
-      const { email, dept, position, status, projects } = member;
+      const { email, department, position, status, projects } = member;
       
       if (status.toLowerCase() === 'alumni') {
         // Alumni with empty position -> base "Alumni", still append projects
@@ -227,7 +164,7 @@ class SlackTitlesSync {
           const base = 'Alumni';
           userTitleMap[email] = base + this.formatProjectsSuffix(projects);
         } else {
-          const title = this.buildProfileTitle(position, dept, status);
+          const title = this.buildProfileTitle(position, department, status);
           if (title) {
             userTitleMap[email] = title + this.formatProjectsSuffix(projects);
           }
@@ -240,12 +177,12 @@ class SlackTitlesSync {
       if (!position) {
         // Leave behavior untouched: we still do NOT set a title,
         // but we record for the notification email
-        missingPositionActives.push({ email, dept });
+        missingPositionActives.push({ email, department });
         others.add(email);
         continue;
       }
 
-      const title = this.buildProfileTitle(position, dept, status);
+      const title = this.buildProfileTitle(position, department, status);
       if (title) {
         userTitleMap[email] = title + this.formatProjectsSuffix(projects);
       }
@@ -433,7 +370,7 @@ class SlackTitlesSync {
     if (!missingList || missingList.length === 0) return;
     const lines = missingList
       .slice(0, 25)
-      .map((x, i) => `${i + 1}. ${x.email}${x.dept ? ` — Dept: ${x.dept}` : ''}`)
+      .map((x, i) => `${i + 1}. ${x.email}${x.department ? ` — Dept: ${x.department}` : ''}`)
       .join(', ');
     console.log(`⚠️ ${missingList.length} active member(s) missing Position. Sample: ${lines}`);
   }
@@ -573,12 +510,6 @@ class SlackTitlesSync {
   /**
    * Utility functions
    */
-  normalizeEmail(value) {
-    const s = String(value || '').trim().toLowerCase();
-    if (!s || !/@/.test(s)) return '';
-    return s;
-  }
-
   extractUserName(user) {
     const prof = user.profile || {};
     return String(prof.real_name || prof.display_name || user.real_name || user.name || '').trim();
@@ -622,16 +553,8 @@ class SlackTitlesSync {
     return (prefix + pos + suffix).replace(/\s{2,}/g, ' ').trim();
   }
 
-  formatProjectsSuffix(projectsRaw) {
-    const raw = String(projectsRaw || '').trim();
-    if (!raw) return '';
-    
-    const seen = new Set();
-    const projects = raw.split(',')
-      .map(p => p.trim())
-      .filter(p => p.length > 0 && !seen.has(p) && (seen.add(p), true));
-    
-    if (!projects.length) return '';
+  formatProjectsSuffix(projects) {
+    if (!projects || !projects.length) return '';
     return ` (${projects.join(', ')})`;
   }
 
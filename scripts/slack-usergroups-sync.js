@@ -7,19 +7,27 @@
  * Syncs Google Sheets member data with Slack usergroups
  * 
  * Features:
- * - Auto-managed project usergroups from Projects column
- * - Auto-managed campus usergroups from Campus column
- * - Fixed department and role-based groups
- * - Alumni handling (only in @alumni group)
+ * - Usergroups derived from declarative rules (config/slack-usergroups.json)
+ * - Default rules: project, campus and department groups, role-based groups,
+ *   alumni handling (only in @alumni group)
+ * - Per-rule lifecycle (auto-create, auto-disable when empty)
  * - Rate limiting and batched operations
  */
 
 import { WebClient } from '@slack/web-api';
 import { google } from 'googleapis';
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MemberRoster from './lib/member-roster.js';
+import UsergroupRuleEngine from './lib/usergroup-rules.js';
 
 dotenv.config();
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 class SlackUsergroupsSync {
   constructor() {
     // Validate required environment variables
@@ -35,28 +43,8 @@ class SlackUsergroupsSync {
       SHEET_NAME: 'Member Database',
       GROUP_PREFIX: '',
       
-      // Column headers
-      COL_EMAIL: 'Email 180',
-      COL_DEPT: 'Department',
-      COL_POSITION: 'Position',
-      COL_STATUS: 'Status',
-      COL_PROJECTS: 'Projects',
-      COL_CAMPUS: 'Campus',
-      
-      // Fixed Slack handles (only truly fixed groups)
-      HANDLE_ACTIVE: 'actives',
-      HANDLE_ALUMNI: 'alumni',
-      HANDLE_PVP: 'p-vp',
-      HANDLE_PL: 'project-leaders',
-      HANDLE_LEADERSHIP: 'leadership',
-
-      // Settings
-      MANAGE_LEADERSHIP: true,
-      DEPT_ONLY_ACTIVE: true,
-      MANAGE_PROJECT_GROUPS: true,
-      PROJECTS_REQUIRE_ACTIVE: true,
-      MANAGE_CAMPUS_GROUPS: true,
-      CAMPUS_REQUIRE_ACTIVE: true,
+      // Usergroup rules (JSON config, validated at startup)
+      USERGROUPS_CONFIG_PATH: process.env.SLACK_USERGROUPS_CONFIG || path.join(__dirname, 'config', 'slack-usergroups.json'),
       
       // Rate limiting
       LOOKUP_BATCH_SIZE: 40,
@@ -65,6 +53,8 @@ class SlackUsergroupsSync {
       MAX_RETRIES: 5,
       BASE_BACKOFF_MS: 1500
     };
+
+    this.ruleEngine = this.loadUsergroupRules(this.config.USERGROUPS_CONFIG_PATH);
   }
 
   /**
@@ -113,6 +103,26 @@ class SlackUsergroupsSync {
     throw new Error(`Could not extract sheet ID from URL: ${url}`);
   }
 
+  /**
+   * Load usergroup rules from the JSON config and build the rule engine
+   */
+  loadUsergroupRules(configPath) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read usergroup config ${configPath}: ${error.message}`);
+    }
+
+    if (raw.settings && typeof raw.settings.groupPrefix === 'string') {
+      this.config.GROUP_PREFIX = raw.settings.groupPrefix;
+    }
+
+    const engine = new UsergroupRuleEngine(raw, { toHandle: (value) => this.slugWithPrefix(value) });
+    console.log(`📋 Loaded ${engine.rules.length} usergroup rules from ${configPath}`);
+    return engine;
+  }
+
   /**
    * Initialize Google Sheets API
    */
@@ -143,86 +153,17 @@ class SlackUsergroupsSync {
   }
 
   /**
-   * Read member data from Google Sheets
+   * Read member data from the shared member roster
    */
   async readMembers() {
     try {
-      console.log(`📊 Reading member data from sheet: ${this.config.SHEET_NAME}`);
-      
-      // First, get the spreadsheet metadata to find the correct sheet name
-      const spreadsheet = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetsId
-      });
-      
-      const sheets = spreadsheet.data.sheets || [];
-      console.log(`📋 Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      
-      // Find the sheet that matches our target name (case-insensitive)
-      const targetSheet = sheets.find(sheet => 
-        sheet.properties?.title?.toLowerCase() === this.config.SHEET_NAME.toLowerCase()
-      );
-      
-      if (!targetSheet) {
-        throw new Error(`Sheet "${this.config.SHEET_NAME}" not found. Available sheets: ${sheets.map(s => s.properties?.title).join(', ')}`);
-      }
-      
-      const actualSheetName = targetSheet.properties.title;
-      console.log(`📊 Using sheet: "${actualSheetName}"`);
-      
-      const response = await this.sheets.spreadsheets.values.get({
+      const roster = new MemberRoster({
+        sheets: this.sheets,
         spreadsheetId: this.sheetsId,
-        range: `${actualSheetName}!A:Z`
+        sheetName: this.config.SHEET_NAME
       });
-
-      const values = response.data.values;
-      if (!values || values.length < 2) {
-        throw new Error('No data found in sheet');
-      }
-
-      const headers = values[0];
-      const dataRows = values.slice(1);
-      
-      // Find column indices
-      const getColumnIndex = (columnName) => {
-        return headers.findIndex(header => 
-          header && header.toString().toLowerCase().includes(columnName.toLowerCase())
-        );
-      };
-
-      const columnIndices = {
-        email: getColumnIndex(this.config.COL_EMAIL),
-        dept: getColumnIndex(this.config.COL_DEPT),
-        position: getColumnIndex(this.config.COL_POSITION),
-        status: getColumnIndex(this.config.COL_STATUS),
-        projects: getColumnIndex(this.config.COL_PROJECTS),
-        campus: getColumnIndex(this.config.COL_CAMPUS)
-      };
-
-      console.log('📋 Column mapping:', columnIndices);
-
-      // Transform rows to member objects with validation
-      const members = dataRows.map((row, index) => {
-        const email = this.normalizeEmail(row[columnIndices.email]);
-        const member = {
-          email,
-          dept: (row[columnIndices.dept] || '').toString().trim(),
-          position: (row[columnIndices.position] || '').toString().trim(),
-          status: (row[columnIndices.status] || '').toString().trim(),
-          projects: (row[columnIndices.projects] || '').toString().trim(),
-          campus: (row[columnIndices.campus] || '').toString().trim(),
-          rowIndex: index + 2 // +2 because we skipped header and arrays are 0-indexed
-        };
-        
-        // Validate email format
-        if (email && !this.isValidEmail(email)) {
-          console.warn(`⚠️ Invalid email format in row ${member.rowIndex}: ${email}`);
-        }
-        
-        return member;
-      }).filter(member => member.email); // Only include members with email
-
-      console.log(`📊 Loaded ${members.length} members from sheet`);
-      return members;
+      const { members } = await roster.load();
+      return members.filter(member => member.email); // Only include members with email
     } catch (error) {
       console.error('❌ Error reading members from sheet:', error);
       throw error;
@@ -230,91 +171,18 @@ class SlackUsergroupsSync {
   }
 
   /**
-   * Build target memberships for all usergroups
+   * Build target memberships for all usergroups by evaluating the rules
    */
   buildTargets(members) {
-    const groupsByHandle = {};
-    const ensure = (handle) => {
-      if (!groupsByHandle[handle]) {
-        groupsByHandle[handle] = new Set();
-      }
-      return groupsByHandle[handle];
-    };
-
-    // Initialize only truly fixed handles (role-based, not department-based)
-    const fixedHandles = [
-      this.config.HANDLE_ACTIVE, this.config.HANDLE_ALUMNI,
-      this.config.HANDLE_PVP, this.config.HANDLE_PL, this.config.HANDLE_LEADERSHIP
-    ];
-
-    fixedHandles.forEach(handle => ensure(this.slugWithPrefix(handle)));
+    const { groupsByHandle, lifecycleByHandle, priorityEmails } = this.ruleEngine.evaluate(members);
 
-    const actives = new Set();
-    const others = new Set();
-
-    for (const member of members) {
-      const { email, dept, position, status, projects, campus } = member;
-
-      if (status.toLowerCase() === 'alumni') {
-        // Alumni rule: ONLY in @alumni; excluded from all other groups
-        ensure(this.slugWithPrefix(this.config.HANDLE_ALUMNI)).add(email);
-        others.add(email);
-        continue;
-      }
-
-      // Active users
-      actives.add(email);
-      ensure(this.slugWithPrefix(this.config.HANDLE_ACTIVE)).add(email);
-
-      // Dynamic department groups (derived from sheet data)
-      if (!this.config.DEPT_ONLY_ACTIVE || status.toLowerCase() === 'active') {
-        if (dept) {
-          const deptHandle = this.slugWithPrefix(this.slugify(dept));
-          ensure(deptHandle).add(email);
-        }
-      }
-
-      // Roles (actives only)
-      if (position === 'Project Leader') ensure(this.slugWithPrefix(this.config.HANDLE_PL)).add(email);
-      if (dept === 'Presidency' || position === 'President' || position === 'Vice-President') {
-        ensure(this.slugWithPrefix(this.config.HANDLE_PVP)).add(email);
-      }
-
-      if (this.config.MANAGE_LEADERSHIP) {
-        const isLeadership = dept === 'Presidency' || position === 'President' ||
-                            position === 'Vice-President' || position.startsWith('Head of') ||
-                            position === 'Associate Director';
-        if (isLeadership) ensure(this.slugWithPrefix(this.config.HANDLE_LEADERSHIP)).add(email);
-      }
-
-      // Dynamic project groups
-      if (this.config.MANAGE_PROJECT_GROUPS && (!this.config.PROJECTS_REQUIRE_ACTIVE || status.toLowerCase() === 'active')) {
-        if (projects) {
-          const projectList = projects.split(', ').map(p => p.trim()).filter(Boolean);
-          for (const project of projectList) {
-            const handle = this.slugWithPrefix(this.slugify(project));
-            ensure(handle).add(email);
-          }
-        }
-      }
-
-      // Dynamic campus groups
-      if (this.config.MANAGE_CAMPUS_GROUPS && (!this.config.CAMPUS_REQUIRE_ACTIVE || status.toLowerCase() === 'active')) {
-        if (campus) {
-          const handle = this.slugWithPrefix(this.slugify(campus));
-          ensure(handle).add(email);
-        }
-      }
-    }
-
-    const priorityEmails = [...actives, ...others];
     const summary = Object.fromEntries(
       Object.entries(groupsByHandle).map(([h, set]) => [h, set.size])
     );
 
     console.log(`📊 Group sizes (pre-resolve): ${JSON.stringify(summary)}`);
 
-    return { groupsByHandle, priorityEmails };
+    return { groupsByHandle, lifecycleByHandle, priorityEmails };
   }
 
   /**
@@ -541,7 +409,7 @@ class SlackUsergroupsSync {
       console.log(`📊 Loaded ${members.length} members from sheet`);
       
       // Build targets
-      const { groupsByHandle, priorityEmails } = this.buildTargets(members);
+      const { groupsByHandle, lifecycleByHandle, priorityEmails } = this.buildTargets(members);
       
       if (this.dryRun) {
         console.log('🧪 DRY RUN MODE - No changes will be made');
@@ -551,37 +419,34 @@ class SlackUsergroupsSync {
       
       // Resolve Slack users
       const emailToUser = await this.resolveSlackUsersBatched(groupsByHandle, priorityEmails);
+      const existing = await this.listAllUsergroups();
+      
+      // A group is desired when it has resolvable members, or when its rule keeps it alive while empty
+      const hasMembers = (handle) => [...groupsByHandle[handle]].some(email => emailToUser[email]?.id);
+      const desiredHandles = Object.keys(groupsByHandle).filter(handle => {
+        const lifecycle = lifecycleByHandle[handle];
+        if (!hasMembers(handle) && lifecycle.disableWhenEmpty) return false;
+        if (!lifecycle.autoCreate && !existing[handle]) {
+          console.log(`  ⏭️ Not creating ${handle} (autoCreate disabled for rule "${lifecycle.rule}")`);
+          return false;
+        }
+        return true;
+      });
       
       // Ensure all desired usergroups exist
-      const desiredHandles = Object.keys(groupsByHandle);
       const handleToId = await this.ensureUsergroups(desiredHandles);
       
-      // Disable usergroups that are empty or only contain alumni
-      const existing = await this.listAllUsergroups();
-      const alumniHandle = this.slugWithPrefix(this.config.HANDLE_ALUMNI);
-
-      // Find usergroups to disable: those with no active members (empty or alumni-only)
-      const toDisable = [];
-      for (const [handle, info] of Object.entries(existing)) {
-        // Skip if already disabled
-        if (info.date_delete && info.date_delete > 0) continue;
-
-        // Check if this group has any non-alumni members
-        const groupEmails = groupsByHandle[handle] ? [...groupsByHandle[handle]] : [];
-        const hasActiveMembers = groupEmails.some(email => {
-          const user = emailToUser[email];
-          return user && user.id;
+      // Disable enabled usergroups we no longer want: managed groups that became empty,
+      // and groups no rule produces (when disableUnmanaged is set)
+      const toDisable = Object.entries(existing)
+        .filter(([, info]) => !(info.date_delete && info.date_delete > 0))
+        .map(([handle]) => handle)
+        .filter(handle => {
+          if (desiredHandles.includes(handle)) return false;
+          if (groupsByHandle[handle]) return true;
+          return this.ruleEngine.settings.disableUnmanaged;
         });
 
-        // If the group is empty or the handle is not in our desired groups, disable it
-        // Exception: don't disable @alumni if it has members
-        if (handle === alumniHandle) continue;
-
-        if (!hasActiveMembers || !desiredHandles.includes(handle)) {
-          toDisable.push(handle);
-        }
-      }
-
       if (toDisable.length > 0) {
         console.log(`🗑️ Disabling ${toDisable.length} empty/inactive usergroups`);
         for (const handle of toDisable) {
@@ -594,11 +459,8 @@ class SlackUsergroupsSync {
         }
       }
       
-      // Update memberships
-      const orderedHandles = [
-        this.slugWithPrefix(this.config.HANDLE_ACTIVE),
-        ...desiredHandles.filter(h => h !== this.slugWithPrefix(this.config.HANDLE_ACTIVE))
-      ];
+      // Update memberships in rule priority order (see "priority" in the config)
+      const orderedHandles = this.ruleEngine.orderHandles(desiredHandles, lifecycleByHandle);
       
       for (const handle of orderedHandles) {
         const ugId = handleToId[handle];
@@ -628,17 +490,6 @@ class SlackUsergroupsSync {
   /**
    * Utility functions
    */
-  normalizeEmail(value) {
-    const s = String(value || '').trim().toLowerCase();
-    if (!s || !/@/.test(s)) return '';
-    return s;
-  }
-
-  isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  }
-
   slugify(str) {
     return String(str).trim().toLowerCase()
       .replace(/&/g, 'and')
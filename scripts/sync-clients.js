@@ -14,7 +14,7 @@
 import { createClient } from '@sanity/client';
 import { google } from 'googleapis';
 import { WebClient } from '@slack/web-api';
-import AVIFConverter from '../tools/avif-converter.js';
+import SanityImagePipeline from './lib/sanity-image-pipeline.js';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -48,8 +48,8 @@ class ClientSync {
     this.slackChannel = process.env.SLACK_CHANNEL || '#automation-updates';
     this.slackEnabled = !!(process.env.SLACK_BOT_TOKEN && process.env.SLACK_CHANNEL);
     
-    // Initialize AVIF converter
-    this.avifConverter = new AVIFConverter();
+    // Image uploads (AVIF, deduplicated by source hash)
+    this.imagePipeline = new SanityImagePipeline({ sanity: this.sanity });
   }
 
   /**
@@ -449,8 +449,12 @@ class ClientSync {
       console.log('🔄 Syncing to Sanity CMS...');
       const syncResults = await this.syncClients(processedData);
 
+      // Remove logos no client uses any more
+      const cleanup = await this.imagePipeline.cleanupOrphanedAssets();
+
       console.log('\n🎉 Client sync completed successfully!');
       console.log(`📊 Summary: ${syncResults.created} created, ${syncResults.deleted} deleted`);
+      console.log(`🧹 Orphaned logos deleted: ${cleanup.deleted}`);
 
       if (syncResults.errors.length > 0) {
         console.log(`❌ ${syncResults.errors.length} errors occurred`);
@@ -524,7 +528,7 @@ class ClientSync {
   }
 
   /**
-   * Upload client logo to Sanity with AVIF conversion
+   * Upload client logo to Sanity with AVIF conversion (reuses the asset when the logo is unchanged)
    */
   async uploadLogoToSanity(logoUrl, clientName) {
     if (!logoUrl) {
@@ -534,28 +538,11 @@ class ClientSync {
     try {
       console.log(`📸 Processing logo for ${clientName}...`);
       
-      // Convert to AVIF using the converter
-      const avifBuffer = await this.avifConverter.convertUrlToAVIF(
-        logoUrl, 
+      return await this.imagePipeline.uploadFromUrl(
+        logoUrl,
         `${clientName.replace(/[^a-zA-Z0-9]/g, '_')}_logo`,
         { quality: 85, effort: 4 }
       );
-      
-      // Upload to Sanity
-      const asset = await this.sanity.assets.upload('image', avifBuffer, {
-        filename: `${clientName.replace(/[^a-zA-Z0-9]/g, '_')}_logo.avif`,
-        contentType: 'image/avif'
-      });
-      
-      console.log(`✅ Logo uploaded for ${clientName}: ${asset._id}`);
-      
-      return {
-        _type: 'image',
-        asset: {
-          _type: 'reference',
-          _ref: asset._id
-        }
-      };
     } catch (error) {
       console.error(`❌ Failed to upload logo for ${clientName}:`, error.message);
       return null;
@@ -5,7 +5,8 @@
  * 
  * This script automatically syncs team member data from Slack profiles to Sanity CMS.
  * It handles position extraction, department assignment, alumni exclusion, and default avatar detection.
- * Uses a delete-all-then-recreate approach for reliable data consistency.
+ * Uses an incremental upsert (matched by Slack ID, falling back to email) committed
+ * in a single Sanity transaction, so document IDs and avatars stay stable.
  * 
  * @author 180DC ESCP Development Team
  * @version 1.1.0
@@ -17,7 +18,8 @@ import { WebClient } from '@slack/web-api';
 import { google } from 'googleapis';
 import sharp from 'sharp';
 import dotenv from 'dotenv';
-import AVIFConverter from '../tools/avif-converter.js';
+import SanityImagePipeline from './lib/sanity-image-pipeline.js';
+import MemberRoster from './lib/member-roster.js';
 
 dotenv.config();
 
@@ -47,16 +49,14 @@ class TeamMemberSync {
 
     // Optional Google Sheets config (for overriding names)
     this.googleSheetsConfig = {
-      sheetName: 'Member Database',
-      fullNameColumn: 'Full Name',
-      emailColumn: 'Email 180'
+      sheetName: 'Member Database'
     };
     this.googleSheetsReady = this.hasGoogleSheetsConfig(false);
     this.sheets = null;
     this.sheetsId = this.googleSheetsReady ? this.extractSheetId(process.env.GSHEET_MEMBERS_LINK) : null;
     
-    // Initialize AVIF converter
-    this.avifConverter = new AVIFConverter();
+    // Image uploads (AVIF, deduplicated by source hash)
+    this.imagePipeline = new SanityImagePipeline({ sanity: this.sanity });
     
     // Valid positions and departments from Sanity schema
     this.validPositions = [
@@ -178,57 +178,17 @@ class TeamMemberSync {
     try {
       await this.initializeSheets();
 
-      const spreadsheet = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.sheetsId
-      });
-      
-      const sheets = spreadsheet.data.sheets || [];
-      const targetSheet = sheets.find(sheet => 
-        sheet.properties?.title?.toLowerCase() === this.googleSheetsConfig.sheetName.toLowerCase()
-      );
-      
-      if (!targetSheet) {
-        console.warn(`⚠️ Sheet "${this.googleSheetsConfig.sheetName}" not found - using Slack names only`);
-        return null;
-      }
-
-      const actualSheetName = targetSheet.properties.title;
-      const response = await this.sheets.spreadsheets.values.get({
+      const roster = new MemberRoster({
+        sheets: this.sheets,
         spreadsheetId: this.sheetsId,
-        range: `${actualSheetName}!A:Z`
+        sheetName: this.googleSheetsConfig.sheetName
       });
-
-      const values = response.data.values;
-      if (!values || values.length < 2) {
-        console.warn('⚠️ No rows found in member sheet - using Slack names only');
-        return null;
-      }
-
-      const headers = values[0].map(h => h?.toString().trim() || '');
-      const normalizedHeaders = headers.map(h => h.toLowerCase());
-      const dataRows = values.slice(1);
-
-      const nameNeedle = this.googleSheetsConfig.fullNameColumn.toLowerCase();
-      const emailNeedle = this.googleSheetsConfig.emailColumn.toLowerCase();
-
-      const nameIdx = normalizedHeaders.findIndex(h => h === nameNeedle || h.includes(nameNeedle));
-      let emailIdx = normalizedHeaders.findIndex(h => h === emailNeedle || h.includes(emailNeedle));
-      if (emailIdx === -1) {
-        emailIdx = normalizedHeaders.findIndex(h => h === 'email' || h.includes('email'));
-      }
-
-      if (nameIdx === -1 || emailIdx === -1) {
-        console.warn('⚠️ Could not find "Full Name" or "Email" columns in sheet - using Slack names only');
-        return null;
-      }
+      const { members } = await roster.load();
 
       const fullNameMap = new Map();
-      for (const row of dataRows) {
-        const email = (row[emailIdx] || '').toString().trim().toLowerCase();
-        const fullName = (row[nameIdx] || '').toString().trim();
-
-        if (!email || !fullName) continue;
-        fullNameMap.set(email, fullName);
+      for (const member of members) {
+        if (!member.email || !member.fullName) continue;
+        fullNameMap.set(member.email, member.fullName);
       }
 
       if (fullNameMap.size === 0) {
@@ -490,7 +450,7 @@ class TeamMemberSync {
   }
 
   /**
-   * Upload profile image to Sanity with AVIF conversion
+   * Upload profile image to Sanity with AVIF conversion (reuses the asset when the image is unchanged)
    */
   async uploadProfileImageToSanity(imageUrl, memberName) {
     if (!imageUrl) {
@@ -500,28 +460,11 @@ class TeamMemberSync {
     try {
       console.log(`📸 Processing profile image for ${memberName}...`);
       
-      // Convert to AVIF using the converter
-      const avifBuffer = await this.avifConverter.convertUrlToAVIF(
-        imageUrl, 
+      return await this.imagePipeline.uploadFromUrl(
+        imageUrl,
         `${memberName.replace(/[^a-zA-Z0-9]/g, '_')}_profile`,
         { quality: 85, effort: 4 }
       );
-      
-      // Upload to Sanity
-      const asset = await this.sanity.assets.upload('image', avifBuffer, {
-        filename: `${memberName.replace(/[^a-zA-Z0-9]/g, '_')}_profile.avif`,
-        contentType: 'image/avif'
-      });
-      
-      console.log(`✅ Profile image uploaded for ${memberName}: ${asset._id}`);
-      
-      return {
-        _type: 'image',
-        asset: {
-          _type: 'reference',
-          _ref: asset._id
-        }
-      };
     } catch (error) {
       console.error(`❌ Failed to upload profile image for ${memberName}:`, error.message);
       return null;
@@ -720,7 +663,7 @@ class TeamMemberSync {
 
   /**
    * Main sync process that orchestrates the entire team member synchronization.
-   * Uses a delete-all-then-recreate approach for reliable data consistency.
+   * Applies an incremental upsert in a single transaction.
    * @async
    * @function sync
    * @returns {Promise<void>} Resolves when sync is complete
@@ -772,9 +715,13 @@ class TeamMemberSync {
       const alumniCount = await this.getAlumniCount();
       await this.updateAlumniCount(alumniCount);
 
+      // Remove avatars no team member uses any more
+      const cleanup = await this.imagePipeline.cleanupOrphanedAssets();
+
       console.log('\n🎉 Sync completed successfully!');
-      console.log(`📊 Summary: ${syncResults.created} created, ${syncResults.deleted} deleted`);
+      console.log(`📊 Summary: ${syncResults.created} created, ${syncResults.updated} updated, ${syncResults.deleted} deleted`);
       console.log(`👥 Alumni count: ${alumniCount}`);
+      console.log(`🧹 Orphaned images deleted: ${cleanup.deleted}`);
 
       if (syncResults.errors.length > 0) {
         console.log(`❌ ${syncResults.errors.length} errors occurred`);
@@ -797,6 +744,7 @@ class TeamMemberSync {
         summary: `Synced ${slackData.length} team members from Slack to Sanity CMS. Alumni count: ${alumniCount}`,
         results: {
           created: syncResults.created,
+          updated: syncResults.updated,
           deleted: syncResults.deleted,
           processed: slackData.length,
           errors: syncResults.errors.length
@@ -857,7 +805,8 @@ class TeamMemberSync {
         department,
         image,
         slackId,
-        slackUsername
+        slackUsername,
+        slackImageUrl
       }`;
       
       const members = await this.sanity.fetch(query);
@@ -870,124 +819,135 @@ class TeamMemberSync {
   }
 
   /**
-   * Create a new team member in Sanity
+   * Map Slack member data to teamMember document fields (excluding image)
    */
-  async createTeamMember(memberData) {
-    try {
-      const doc = {
-        _type: 'teamMember',
-        name: memberData.name,
-        email: memberData.email,
-        role: memberData.position,        // Changed from 'position' to 'role'
-        department: memberData.department,
-        slackId: memberData.slackId,
-        slackUsername: memberData.slackUsername
-      };
-
-      // Add profile image if provided (not a default avatar)
-      if (memberData.profileImage) {
-        const uploadedImage = await this.uploadProfileImageToSanity(
-          memberData.profileImage, 
-          memberData.name
-        );
-        
-        if (uploadedImage) {
-          doc.image = uploadedImage;  // Changed from 'photo' to 'image' to match Sanity schema
-        }
-      }
+  buildTeamMemberFields(memberData) {
+    return {
+      name: memberData.name,
+      email: memberData.email,
+      role: memberData.position,        // Changed from 'position' to 'role'
+      department: memberData.department,
+      slackId: memberData.slackId,
+      slackUsername: memberData.slackUsername
+    };
+  }
 
-      const result = await this.sanity.create(doc);
-      console.log(`✅ Created team member: ${memberData.name}`);
-      return result;
-    } catch (error) {
-      console.error(`❌ Error creating team member ${memberData.name}:`, error);
-      throw error;
-    }
+  /**
+   * Find the existing document for a Slack member: by slackId, then by email
+   */
+  matchExistingTeamMember(memberData, bySlackId, byEmail) {
+    const candidates = [
+      bySlackId.get(memberData.slackId),
+      byEmail.get((memberData.email || '').toLowerCase())
+    ];
+    return candidates.find(Boolean) || null;
   }
 
   /**
-   * Update an existing team member in Sanity
+   * Add a create mutation for a new team member to the transaction
    */
-  async updateTeamMember(sanityId, memberData) {
-    try {
-      const updateData = {
-        name: memberData.name,
-        email: memberData.email,
-        role: memberData.position,        // Changed from 'position' to 'role'
-        department: memberData.department,
-        slackId: memberData.slackId,
-        slackUsername: memberData.slackUsername
-      };
+  async createTeamMember(transaction, memberData) {
+    const doc = {
+      _type: 'teamMember',
+      ...this.buildTeamMemberFields(memberData)
+    };
 
-      // Handle profile image: add if provided
-      if (memberData.profileImage) {
-        const uploadedImage = await this.uploadProfileImageToSanity(
-          memberData.profileImage, 
-          memberData.name
-        );
-        
-        if (uploadedImage) {
-          updateData.image = uploadedImage;  // Changed from 'photo' to 'image' to match Sanity schema
-        }
+    // Add profile image if provided (not a default avatar)
+    if (memberData.profileImage) {
+      const uploadedImage = await this.uploadProfileImageToSanity(
+        memberData.profileImage, 
+        memberData.name
+      );
+      
+      if (uploadedImage) {
+        doc.image = uploadedImage;  // Changed from 'photo' to 'image' to match Sanity schema
+        doc.slackImageUrl = memberData.profileImage;
       }
+    }
 
-      const result = await this.sanity
-        .patch(sanityId)
-        .set(updateData)
-        .commit();
+    transaction.create(doc);
+    console.log(`➕ Create: ${memberData.name}`);
+  }
 
-      console.log(`✅ Updated team member: ${memberData.name}`);
-      return result;
-    } catch (error) {
-      console.error(`❌ Error updating team member ${memberData.name}:`, error);
-      throw error;
+  /**
+   * Add a patch for the changed fields of an existing team member to the transaction.
+   * The avatar is only re-uploaded when the Slack image URL changed.
+   * @returns {boolean} Whether anything changed
+   */
+  async updateTeamMember(transaction, existing, memberData) {
+    const fields = this.buildTeamMemberFields(memberData);
+    const set = {};
+    Object.entries(fields).forEach(([key, value]) => {
+      if ((existing[key] ?? null) !== (value ?? null)) set[key] = value;
+    });
+    const unset = [];
+
+    if (!memberData.profileImage) {
+      // Default Slack avatar: fall back to the Sanity default
+      if (existing.image) unset.push('image', 'slackImageUrl');
+    } else if (!existing.image || existing.slackImageUrl !== memberData.profileImage) {
+      const uploadedImage = await this.uploadProfileImageToSanity(
+        memberData.profileImage, 
+        memberData.name
+      );
+      
+      if (uploadedImage) {
+        set.image = uploadedImage;
+        set.slackImageUrl = memberData.profileImage;
+      }
     }
+
+    const changedKeys = [...Object.keys(set), ...unset];
+    if (changedKeys.length === 0) {
+      return false;
+    }
+
+    transaction.patch(existing._id, patch => {
+      let next = Object.keys(set).length > 0 ? patch.set(set) : patch;
+      if (unset.length > 0) next = next.unset(unset);
+      return next;
+    });
+    console.log(`🔄 Update: ${memberData.name} (${[...new Set(changedKeys)].join(', ')})`);
+    return true;
   }
 
   /**
-   * Delete a team member from Sanity
+   * Add a delete mutation for a departed team member to the transaction
    */
-  async deleteTeamMember(sanityId, memberName) {
-    try {
-      await this.sanity.delete(sanityId);
-      console.log(`✅ Deleted team member: ${memberName}`);
-      return true;
-    } catch (error) {
-      console.error(`❌ Error deleting team member ${memberName}:`, error);
-      throw error;
-    }
+  deleteTeamMember(transaction, existing) {
+    transaction.delete(existing._id);
+    console.log(`🗑️ Delete: ${existing.name || existing._id}`);
   }
 
   /**
-   * Sync team members from Slack data using delete-all-then-recreate approach
+   * Sync team members from Slack data with an incremental upsert.
+   * Existing documents are matched by slackId (falling back to email); only
+   * changed fields are patched, new members created and departed members
+   * deleted, all in a single transaction so the site never sees a partial team.
    */
   async syncTeamMembers(slackData) {
     try {
       const results = {
         created: 0,
+        updated: 0,
+        unchanged: 0,
         deleted: 0,
         errors: [],
         failedAvatars: []
       };
 
-      // Step 1: Delete all existing team members
-      console.log('🗑️ Deleting all existing team members...');
       const existingMembers = await this.getExistingTeamMembers();
-      
-      for (const member of existingMembers) {
-        try {
-          await this.deleteTeamMember(member._id, member.name);
-          results.deleted++;
-        } catch (error) {
-          console.error(`Error deleting ${member.name}:`, error);
-          results.errors.push({ name: member.name, error: error.message });
-        }
-      }
+      const bySlackId = new Map();
+      const byEmail = new Map();
+      existingMembers.forEach(member => {
+        if (member.slackId && !bySlackId.has(member.slackId)) bySlackId.set(member.slackId, member);
+        const email = (member.email || '').toLowerCase();
+        if (email && !byEmail.has(email)) byEmail.set(email, member);
+      });
 
-      console.log(`✅ Deleted ${results.deleted} existing team members`);
+      const transaction = this.sanity.transaction();
+      const matchedIds = new Set();
 
-      // Step 2: Create all members from Slack data
-      console.log('➕ Creating all team members from Slack data...');
       for (const memberData of slackData) {
         try {
           // Validate required fields
@@ -1006,15 +966,37 @@ class TeamMemberSync {
             continue;
           }
 
-          await this.createTeamMember(memberData);
-          results.created++;
+          const existing = this.matchExistingTeamMember(memberData, bySlackId, byEmail);
+          if (existing && !matchedIds.has(existing._id)) {
+            matchedIds.add(existing._id);
+            const changed = await this.updateTeamMember(transaction, existing, memberData);
+            results[changed ? 'updated' : 'unchanged']++;
+          } else {
+            await this.createTeamMember(transaction, memberData);
+            results.created++;
+          }
         } catch (error) {
-          console.error(`Error creating ${memberData.name}:`, error);
+          console.error(`Error preparing ${memberData.name}:`, error);
           results.errors.push({ name: memberData.name, error: error.message });
         }
       }
 
-      console.log(`✅ Created ${results.created} new team members`);
+      // Departed members (and duplicate documents) are removed
+      existingMembers
+        .filter(member => !matchedIds.has(member._id))
+        .forEach(member => {
+          this.deleteTeamMember(transaction, member);
+          results.deleted++;
+        });
+
+      if (results.created + results.updated + results.deleted === 0) {
+        console.log('✅ Team members already up to date');
+      } else {
+        console.log(`💾 Committing transaction: ${results.created} create, ${results.updated} update, ${results.deleted} delete`);
+        await transaction.commit();
+        console.log('✅ Transaction committed');
+      }
+
       console.log('📊 Team Member Sync Results:', results);
       return results;
     } catch (error) {
@@ -1066,6 +1048,7 @@ class TeamMemberSync {
     if (results) {
       message += `📈 *Results:*\n`;
       if (results.created) message += `• ✅ Created: ${results.created}\n`;
+      if (results.updated) message += `• 🔄 Updated: ${results.updated}\n`;
       if (results.deleted) message += `• 🗑️ Deleted: ${results.deleted}\n`;
       if (results.processed) message += `• 📊 Processed: ${results.processed}\n`;
       if (results.skipped) message += `• ⏭️ Skipped: ${results.skipped}\n`;
@@ -66,54 +66,73 @@ class AVIFConverter {
   }
 
   /**
-   * Convert image from URL to AVIF format
+   * Fetch the source bytes of an image URL
    * @param {string} imageUrl - Source image URL
-   * @param {string} filename - Filename for the converted image
-   * @param {Object} options - Conversion options
-   * @returns {Promise<Buffer>} AVIF image buffer
+   * @returns {Promise<Buffer>} Source image buffer
    */
-  async convertUrlToAVIF(imageUrl, filename = 'image', options = {}) {
-    try {
-      console.log(`🌐 Fetching image from URL: ${imageUrl}`);
-
-      // Fetch the image with proper headers
-      const headers = {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-        'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      };
+  async fetchImage(imageUrl) {
+    console.log(`🌐 Fetching image from URL: ${imageUrl}`);
+
+    // Fetch the image with proper headers
+    const headers = {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+      'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.9',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    };
+
+    const response = await fetch(imageUrl, { 
+      headers,
+      redirect: 'follow',
+      timeout: 30000 // 30 second timeout
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
+    }
 
-      const response = await fetch(imageUrl, { 
-        headers,
-        redirect: 'follow',
-        timeout: 30000 // 30 second timeout
-      });
+    const contentType = response.headers.get('content-type');
+    if (!contentType || (!contentType.startsWith('image/') && contentType !== 'application/octet-stream')) {
+      throw new Error(`Invalid content type: ${contentType}`);
+    }
 
-      if (!response.ok) {
-        throw new Error(`Failed to fetch image: ${response.status} ${response.statusText}`);
-      }
+    const imageBuffer = Buffer.from(await response.arrayBuffer());
+    if (imageBuffer.length === 0) {
+      throw new Error('Empty image data received');
+    }
 
-      const contentType = response.headers.get('content-type');
-      if (!contentType || (!contentType.startsWith('image/') && contentType !== 'application/octet-stream')) {
-        throw new Error(`Invalid content type: ${contentType}`);
-      }
+    return imageBuffer;
+  }
 
-      const imageBuffer = Buffer.from(await response.arrayBuffer());
-      if (imageBuffer.length === 0) {
-        throw new Error('Empty image data received');
-      }
+  /**
+   * Convert an image buffer to AVIF unless it already is AVIF
+   * @param {Buffer} imageBuffer - Source image buffer
+   * @param {string} filename - Filename for the converted image
+   * @param {Object} options - Conversion options
+   * @returns {Promise<Buffer>} AVIF image buffer
+   */
+  async ensureAVIF(imageBuffer, filename = 'image', options = {}) {
+    const imageInfo = await sharp(imageBuffer).metadata();
+    if (imageInfo.format === 'avif') {
+      console.log(`ℹ️ Image ${filename} is already in AVIF format`);
+      return imageBuffer;
+    }
 
-      // Check if the image is already in AVIF format
-      const imageInfo = await sharp(imageBuffer).metadata();
-      if (imageInfo.format === 'avif') {
-        console.log(`ℹ️ Image ${filename} is already in AVIF format`);
-        return imageBuffer;
-      }
+    return await this.convertToAVIF(imageBuffer, filename, options);
+  }
 
-      // Convert to AVIF
-      return await this.convertToAVIF(imageBuffer, filename, options);
+  /**
+   * Convert image from URL to AVIF format
+   * @param {string} imageUrl - Source image URL
+   * @param {string} filename - Filename for the converted image
+   * @param {Object} options - Conversion options
+   * @returns {Promise<Buffer>} AVIF image buffer
+   */
+  async convertUrlToAVIF(imageUrl, filename = 'image', options = {}) {
+    try {
+      const imageBuffer = await this.fetchImage(imageUrl);
+      return await this.ensureAVIF(imageBuffer, filename, options);
     } catch (error) {
       console.error(`❌ Error converting URL to AVIF:`, error.message);
       throw error;